@@ -124,7 +124,7 @@ class ListKambaApp {
 
   navigateTo(page, pushState = true) {
     // Validate page
-    const validPages = ['dashboard', 'tasks', 'calendar', 'timer', 'analytics', 'settings'];
+    const validPages = ['dashboard', 'tasks', 'trash', 'calendar', 'timer', 'analytics', 'settings'];
     if (!validPages.includes(page)) {
       console.warn(`Invalid page: ${page}`);
       return;
@@ -189,6 +189,24 @@ class ListKambaApp {
         }
         break;
         
+      case 'trash':
+        if (window.Trash) {
+          Trash.render();
+        }
+        break;
+        
+      case 'calendar':
+        if (window.Calendar) {
+          Calendar.render();
+        }
+        break;
+        
+      case 'timer':
+        if (window.Pomodoro) {
+          Pomodoro.loadTasks();
+        }
+        break;
+        
       case 'settings':
         this.loadSettingsPage();
         break;
@@ -212,6 +230,7 @@ class ListKambaApp {
     const titles = {
       dashboard: 'List Kamba - Dashboard',
       tasks: 'List Kamba - Tarefas', 
+      trash: 'List Kamba - Lixeira',
       calendar: 'List Kamba - Calendário',
       timer: 'List Kamba - Cronómetro',
       analytics: 'List Kamba - Estatísticas',
@@ -413,6 +432,15 @@ class ListKambaApp {
             e.preventDefault();
             this.navigateTo('settings');
             break;
+          case 'z':
+          case 'Z':
+            e.preventDefault();
+            e.shiftKey ? TaskHistory.redo() : TaskHistory.undo();
+            break;
+          case 'y':
+            e.preventDefault();
+            TaskHistory.redo();
+            break;
         }
       }
 
@@ -435,6 +463,8 @@ class ListKambaApp {
       { key: 'Ctrl/Cmd + 4', action: 'Cronómetro' },
       { key: 'Ctrl/Cmd + 5', action: 'Estatísticas' },
       { key: 'Ctrl/Cmd + ,', action: 'Configurações' },
+      { key: 'Ctrl/Cmd + Z', action: 'Anular' },
+      { key: 'Ctrl/Cmd + Shift + Z', action: 'Refazer' },
       { key: 'Escape', action: 'Fechar modal' },
       { key: '?', action: 'Mostrar atalhos' }
     ];
@@ -548,11 +578,17 @@ class ListKambaApp {
 
   async loadInitialData() {
     try {
+      // Recurring tasks completed from a notification while the app was closed
+      await Storage.spawnPendingOccurrences();
+      
       // Load and display initial tasks
       if (window.Tasks) {
         await Tasks.loadTasks();
       }
       
+      // Maintenance: old analytics and expired trash
+      Storage.cleanupOldData();
+      
       // Update any time-sensitive data
       this.updateTimeElements();
       
@@ -0,0 +1,327 @@
+/**
+ * List Kamba - Task Board
+ * Kanban view of the tasks page, grouped by status, priority or category
+ */
+
+class BoardManager {
+  constructor() {
+    this.mode = 'list';
+    this.groupBy = 'status';
+    this.draggedTaskId = null;
+
+    this.init();
+  }
+
+  async init() {
+    await this.loadSettings();
+    this.bindEvents();
+    this.renderControls();
+
+    // Tasks may have rendered as a list before the saved mode was known
+    if (window.Tasks) Tasks.renderTasks();
+  }
+
+  async loadSettings() {
+    try {
+      const saved = await Storage.getSetting('taskBoard', {});
+      this.mode = saved.mode === 'board' ? 'board' : 'list';
+      this.groupBy = this.getGroupings()[saved.groupBy] ? saved.groupBy : 'status';
+    } catch (error) {
+      console.error('Error loading board settings:', error);
+    }
+  }
+
+  async saveSettings() {
+    try {
+      await Storage.setSetting('taskBoard', { mode: this.mode, groupBy: this.groupBy });
+    } catch (error) {
+      console.error('Error saving board settings:', error);
+    }
+  }
+
+  bindEvents() {
+    const groupSelect = Utils.DOM.$('#boardGroupBy');
+    if (groupSelect) {
+      groupSelect.addEventListener('change', (e) => {
+        this.setGroupBy(e.target.value);
+      });
+    }
+
+    const board = Utils.DOM.$('#tasksBoard');
+    if (!board) return;
+
+    // Drag and drop is delegated to the board so re-renders keep working
+    board.addEventListener('dragstart', (e) => {
+      const card = e.target.closest('.board-card');
+      if (!card) return;
+
+      this.draggedTaskId = card.dataset.taskId;
+      card.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', card.dataset.taskId);
+    });
+
+    board.addEventListener('dragend', (e) => {
+      e.target.closest('.board-card')?.classList.remove('dragging');
+      Utils.DOM.$$('.board-column.drop-target', board).forEach(column => column.classList.remove('drop-target'));
+      this.draggedTaskId = null;
+    });
+
+    board.addEventListener('dragover', (e) => {
+      const column = e.target.closest('.board-column');
+      if (!column || !this.draggedTaskId) return;
+
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      column.classList.add('drop-target');
+    });
+
+    board.addEventListener('dragleave', (e) => {
+      const column = e.target.closest('.board-column');
+      if (column && !column.contains(e.relatedTarget)) {
+        column.classList.remove('drop-target');
+      }
+    });
+
+    board.addEventListener('drop', (e) => {
+      const column = e.target.closest('.board-column');
+      if (!column) return;
+
+      e.preventDefault();
+      column.classList.remove('drop-target');
+
+      const taskId = e.dataTransfer.getData('text/plain') || this.draggedTaskId;
+      if (!taskId) return;
+
+      // In manual sort the drop position inside the column is kept as well
+      let orderedIds = null;
+      if (window.Tasks && Tasks.currentSort === 'manual') {
+        const cards = Utils.DOM.$$('.board-card', column).filter(card => card.dataset.taskId !== taskId);
+        const index = cards.findIndex(card => {
+          const rect = card.getBoundingClientRect();
+          return e.clientY < rect.top + rect.height / 2;
+        });
+        orderedIds = cards.map(card => card.dataset.taskId);
+        orderedIds.splice(index === -1 ? orderedIds.length : index, 0, taskId);
+      }
+
+      this.moveTask(taskId, column.dataset.column, orderedIds);
+    });
+  }
+
+  // Column definitions for each grouping, keyed by the task field value
+  getGroupings() {
+    return {
+      status: {
+        label: 'Estado',
+        field: 'status',
+        columns: [
+          { id: 'pending', name: 'Pendentes', icon: '📋' },
+          { id: 'in_progress', name: 'Em progresso', icon: '🚧' },
+          { id: 'completed', name: 'Concluídas', icon: '✅' },
+          { id: 'archived', name: 'Arquivadas', icon: '🗄️' }
+        ]
+      },
+      priority: {
+        label: 'Prioridade',
+        field: 'priority',
+        columns: [
+          { id: 'alta', name: 'Alta', icon: '🔴' },
+          { id: 'media', name: 'Média', icon: '🟡' },
+          { id: 'baixa', name: 'Baixa', icon: '🟢' }
+        ]
+      },
+      category: {
+        label: 'Categoria',
+        field: 'category',
+        columns: Utils.Angola.taskCategories.map(category => ({
+          id: category.id,
+          name: category.name,
+          icon: category.icon,
+          color: category.color
+        }))
+      }
+    };
+  }
+
+  isActive() {
+    return this.mode === 'board';
+  }
+
+  setMode(mode) {
+    this.mode = mode === 'board' ? 'board' : 'list';
+    this.saveSettings();
+    this.renderControls();
+
+    if (window.Tasks) Tasks.renderTasks();
+  }
+
+  setGroupBy(groupBy) {
+    if (!this.getGroupings()[groupBy]) return;
+
+    this.groupBy = groupBy;
+    this.saveSettings();
+
+    if (window.Tasks) Tasks.renderTasks();
+  }
+
+  renderControls() {
+    Utils.DOM.$$('[data-board-mode]').forEach(button => {
+      const active = button.dataset.boardMode === this.mode;
+      button.classList.toggle('active', active);
+      button.setAttribute('aria-pressed', active);
+    });
+
+    const groupSelect = Utils.DOM.$('#boardGroupBy');
+    if (groupSelect) {
+      groupSelect.value = this.groupBy;
+      groupSelect.hidden = !this.isActive();
+    }
+
+    Utils.DOM.$('#tasks .tasks-container')?.classList.toggle('board-mode', this.isActive());
+  }
+
+  getColumnId(task, grouping) {
+    if (grouping.field === 'category') {
+      return Utils.Angola.getCategory(task.category).id;
+    }
+
+    const value = task[grouping.field];
+    return grouping.columns.some(column => column.id === value) ? value : grouping.columns[0].id;
+  }
+
+  render(tasks) {
+    const board = Utils.DOM.$('#tasksBoard');
+    if (!board) return;
+
+    this.renderControls();
+
+    const grouping = this.getGroupings()[this.groupBy];
+    const columns = grouping.columns.map(column => ({ ...column, tasks: [] }));
+
+    tasks.forEach(task => {
+      const columnId = this.getColumnId(task, grouping);
+      columns.find(column => column.id === columnId).tasks.push(task);
+    });
+
+    board.innerHTML = columns.map(column => `
+      <section class="board-column" data-column="${column.id}"
+               ${column.color ? `style="--column-color: ${column.color}"` : ''}>
+        <header class="board-column-header">
+          <span>${column.icon} ${column.name}</span>
+          <span class="board-column-count">${column.tasks.length}</span>
+        </header>
+        <div class="board-column-body">
+          ${column.tasks.length > 0
+            ? column.tasks.map(task => this.renderCard(task, grouping, column.id)).join('')
+            : '<p class="board-column-empty">Arraste tarefas para aqui</p>'}
+        </div>
+      </section>
+    `).join('');
+  }
+
+  renderCard(task, grouping, columnId) {
+    const category = Utils.Angola.getCategory(task.category);
+    const isOverdue = Tasks.isOverdue(task);
+    const subtasks = task.subtasks || [];
+
+    // The select gives keyboard and touch users the same moves as dragging
+    return `
+      <article class="board-card ${task.status} ${isOverdue ? 'overdue' : ''}" draggable="true"
+               data-task-id="${task.id}">
+        <h4 class="board-card-title" onclick="Tasks.editTask('${task.id}')">
+          ${Utils.String.sanitizeHtml(task.title)}
+        </h4>
+        <div class="task-meta">
+          ${grouping.field !== 'category' ? `
+            <span class="task-category" style="background-color: ${category.color}">
+              ${category.icon} ${category.name}
+            </span>
+          ` : ''}
+          ${grouping.field !== 'priority' ? `
+            <span class="task-priority ${task.priority}">
+              ${Tasks.getPriorityIcon(task.priority)} ${Utils.String.capitalize(task.priority)}
+            </span>
+          ` : ''}
+          ${task.dueDate ? `
+            <span class="task-due ${isOverdue ? 'overdue' : ''}">
+              📅 ${Utils.Date.formatDate(Utils.Date.parseISODate(task.dueDate))}${task.dueTime ? ` ${task.dueTime}` : ''}
+            </span>
+          ` : ''}
+          ${subtasks.length > 0 ? `
+            <span class="task-subtask-progress">☑️ ${subtasks.filter(subtask => subtask.done).length}/${subtasks.length}</span>
+          ` : ''}
+        </div>
+        <label class="board-card-move">
+          <span class="sr-only">Mover para</span>
+          <select class="form-control" onchange="Board.moveTask('${task.id}', this.value)">
+            ${grouping.columns.map(column => `
+              <option value="${column.id}" ${column.id === columnId ? 'selected' : ''}>
+                ${column.icon} ${column.name}
+              </option>
+            `).join('')}
+          </select>
+        </label>
+      </article>
+    `;
+  }
+
+  async moveTask(taskId, columnId, orderedIds = null) {
+    const grouping = this.getGroupings()[this.groupBy];
+
+    try {
+      const task = await Storage.getTask(taskId);
+      if (!task) {
+        showToast('Tarefa não encontrada', 'danger');
+        return;
+      }
+
+      const sameColumn = this.getColumnId(task, grouping) === columnId;
+      if (sameColumn && !orderedIds) return;
+
+      await TaskHistory.record('Mover tarefa', [taskId], async () => {
+        if (sameColumn) {
+          // Only the position changes
+        } else if (grouping.field === 'status' && columnId === 'completed') {
+          // Completing goes through Storage so recurring tasks spawn their next occurrence
+          await Storage.completeTask(taskId);
+        } else {
+          if (grouping.field === 'status' && task.status === 'completed') {
+            task.completedAt = null;
+          }
+
+          // A priority set by hand replaces the one overdue escalation raised from
+          if (grouping.field === 'priority') {
+            task.basePriority = null;
+          }
+
+          task[grouping.field] = columnId;
+          await Storage.saveTask(task);
+        }
+
+        if (orderedIds) {
+          await Storage.reorderTask(taskId, orderedIds);
+        }
+      });
+
+      if (!sameColumn) {
+        await Storage.trackEvent('task_moved', {
+          taskId,
+          field: grouping.field,
+          value: columnId
+        });
+      }
+
+      if (window.Tasks) await Tasks.loadTasks();
+    } catch (error) {
+      console.error('Error moving task:', error);
+      showToast('Erro ao mover tarefa', 'danger');
+    }
+  }
+}
+
+// Initialize board manager
+window.Board = new BoardManager();
+
+// Export for other modules
+window.BoardManager = BoardManager;
@@ -0,0 +1,906 @@
+/**
+ * List Kamba - Calendar
+ * Month, week and day views of the tasks on their due dates, with Angolan holidays.
+ * Tasks are rescheduled by dragging; in the week and day views timed tasks are blocks
+ * that can be moved to a start time and resized to set their duration.
+ */
+
+class CalendarManager {
+  constructor() {
+    this.view = 'month'; // month | week | day
+    this.cursor = this.getToday(); // any date inside the period shown
+    this.focusDate = Utils.Date.toISODate(this.cursor); // keyboard focus (roving tabindex)
+    this.focusHour = null; // week/day views: null = all-day row, 0-23 = hour slot
+    this.scrollKey = null;
+    this.dragged = null; // { taskId, grabMinutes } while a task is dragged
+    this.resizing = null; // { block, taskId, start, end } while a block is resized
+    this.justResized = false;
+    this.refocusTaskId = null; // keeps keyboard focus on a task after it moves
+
+    this.snapMinutes = 15;
+    this.defaultBlockMinutes = 30; // timed tasks without a duration
+    this.newBlockMinutes = 60; // duration given to a task when it first gets a time
+
+    this.views = {
+      month: 'Mês',
+      week: 'Semana',
+      day: 'Dia'
+    };
+
+    this.init();
+  }
+
+  async init() {
+    await this.loadSettings();
+    this.bindEvents();
+    this.render();
+  }
+
+  async loadSettings() {
+    try {
+      const saved = await Storage.getSetting('calendarView', 'month');
+      this.view = this.views[saved] ? saved : 'month';
+    } catch (error) {
+      console.error('Error loading calendar settings:', error);
+    }
+  }
+
+  bindEvents() {
+    const grid = Utils.DOM.$('#calendarGrid');
+    if (!grid) return;
+
+    grid.addEventListener('click', (e) => this.handleClick(e));
+    grid.addEventListener('keydown', (e) => this.handleKeydown(e));
+    grid.addEventListener('pointerdown', (e) => this.startResize(e));
+    this.bindDragEvents(grid);
+
+    const backlog = Utils.DOM.$('#calendarBacklog');
+    if (backlog) {
+      backlog.addEventListener('click', (e) => this.handleClick(e));
+      backlog.addEventListener('keydown', (e) => this.handleKeydown(e));
+      this.bindDragEvents(backlog);
+    }
+
+    // Clicking a cell moves the keyboard focus there too
+    grid.addEventListener('focusin', (e) => {
+      const cell = e.target.closest('[data-date]');
+      if (cell && e.target === cell) this.setFocus(cell.dataset.date, this.parseHour(cell.dataset.time), false);
+    });
+
+    Utils.DOM.$('#calendarPrev')?.addEventListener('click', () => this.move(-1));
+    Utils.DOM.$('#calendarNext')?.addEventListener('click', () => this.move(1));
+    Utils.DOM.$('#calendarToday')?.addEventListener('click', () => this.goToToday());
+  }
+
+  // Today in Angola time, at midnight
+  getToday() {
+    const now = Utils.Date.now();
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  }
+
+  // Weeks start on Monday
+  getWeekStart(date) {
+    return Utils.Date.addDays(date, -((date.getDay() + 6) % 7));
+  }
+
+  parseHour(time) {
+    const parsed = Utils.Date.parseTime(time);
+    return parsed ? parsed.hours : null;
+  }
+
+  formatHour(hour) {
+    return `${String(hour).padStart(2, '0')}:00`;
+  }
+
+  async setView(view, date = this.focusDate) {
+    if (!this.views[view]) return;
+
+    this.view = view;
+    this.cursor = Utils.Date.parseISODate(date);
+    this.focusDate = date;
+
+    // Week and day views open at the start of the working day
+    if (view !== 'month' && this.focusHour === null) this.focusHour = 8;
+
+    this.render();
+    this.focusActiveCell();
+    await Storage.setSetting('calendarView', view);
+  }
+
+  // Previous/next month, week or day
+  move(step) {
+    const date = Utils.Date.parseISODate(this.focusDate);
+
+    if (this.view === 'month') {
+      const target = new Date(date.getFullYear(), date.getMonth() + step, 1);
+      const day = Math.min(date.getDate(), Utils.Date.daysInMonth(target.getFullYear(), target.getMonth()));
+      this.setFocus(Utils.Date.toISODate(new Date(target.getFullYear(), target.getMonth(), day)), this.focusHour);
+    } else {
+      this.setFocus(Utils.Date.toISODate(Utils.Date.addDays(date, step * (this.view === 'week' ? 7 : 1))), this.focusHour);
+    }
+  }
+
+  goToToday() {
+    this.setFocus(Utils.Date.toISODate(this.getToday()), this.focusHour);
+  }
+
+  // Moves the keyboard focus, switching period when the date is not on screen
+  setFocus(date, hour = null, moveFocus = true) {
+    const changed = date !== this.focusDate || hour !== this.focusHour;
+    this.focusDate = date;
+    this.focusHour = hour;
+    if (!changed) return;
+
+    if (!this.isInRange(date)) {
+      this.cursor = Utils.Date.parseISODate(date);
+      this.render();
+    } else {
+      this.updateRovingFocus();
+    }
+
+    if (moveFocus) this.focusActiveCell();
+  }
+
+  getRange() {
+    if (this.view === 'month') {
+      const first = new Date(this.cursor.getFullYear(), this.cursor.getMonth(), 1);
+      const start = this.getWeekStart(first);
+      const last = new Date(this.cursor.getFullYear(), this.cursor.getMonth() + 1, 0);
+      const end = Utils.Date.addDays(this.getWeekStart(last), 6);
+      return { start, end };
+    }
+
+    if (this.view === 'week') {
+      const start = this.getWeekStart(this.cursor);
+      return { start, end: Utils.Date.addDays(start, 6) };
+    }
+
+    return { start: this.cursor, end: this.cursor };
+  }
+
+  isInRange(date) {
+    if (this.view === 'month') {
+      const parsed = Utils.Date.parseISODate(date);
+      return parsed.getFullYear() === this.cursor.getFullYear() && parsed.getMonth() === this.cursor.getMonth();
+    }
+
+    const { start, end } = this.getRange();
+    return date >= Utils.Date.toISODate(start) && date <= Utils.Date.toISODate(end);
+  }
+
+  getDays() {
+    const { start, end } = this.getRange();
+    const days = [];
+    for (let date = start; date <= end; date = Utils.Date.addDays(date, 1)) {
+      days.push(date);
+    }
+    return days;
+  }
+
+  // Pending tasks without a date, to be dropped on the calendar
+  getBacklog() {
+    return (window.Tasks ? Tasks.currentTasks : [])
+      .filter(task => !task.dueDate && (task.status === 'pending' || task.status === 'in_progress'));
+  }
+
+  // Tasks by due date; all-day tasks first, then by time
+  getTasksByDate() {
+    const tasks = (window.Tasks ? Tasks.currentTasks : [])
+      .filter(task => task.dueDate && task.status !== 'archived')
+      .sort((a, b) => (a.dueTime || '').localeCompare(b.dueTime || ''));
+
+    return tasks.reduce((byDate, task) => {
+      (byDate[task.dueDate] = byDate[task.dueDate] || []).push(task);
+      return byDate;
+    }, {});
+  }
+
+  getTitle() {
+    const { start, end } = this.getRange();
+    const months = Utils.Date.monthNames;
+
+    if (this.view === 'month') {
+      return `${months[this.cursor.getMonth()]} ${this.cursor.getFullYear()}`;
+    }
+
+    if (this.view === 'week') {
+      if (start.getMonth() === end.getMonth()) {
+        return `${start.getDate()} – ${end.getDate()} de ${months[end.getMonth()]} ${end.getFullYear()}`;
+      }
+      const startLabel = `${start.getDate()} de ${months[start.getMonth()]}${start.getFullYear() !== end.getFullYear() ? ` ${start.getFullYear()}` : ''}`;
+      return `${startLabel} – ${end.getDate()} de ${months[end.getMonth()]} ${end.getFullYear()}`;
+    }
+
+    return this.getDayLabel(this.cursor, true);
+  }
+
+  getDayLabel(date, withYear = false) {
+    return `${Utils.Date.weekdayNames[date.getDay()]}, ${date.getDate()} de ${Utils.Date.monthNames[date.getMonth()]}` +
+      (withYear ? ` de ${date.getFullYear()}` : '');
+  }
+
+  render() {
+    const grid = Utils.DOM.$('#calendarGrid');
+    if (!grid) return;
+
+    const hadFocus = grid.contains(document.activeElement);
+    const tasksByDate = this.getTasksByDate();
+
+    // Keep the focus inside the period on screen
+    if (!this.isInRange(this.focusDate)) {
+      this.focusDate = Utils.Date.toISODate(this.view === 'month' ?
+        new Date(this.cursor.getFullYear(), this.cursor.getMonth(), 1) :
+        this.getRange().start);
+    }
+
+    const title = Utils.DOM.$('#calendarTitle');
+    if (title) title.textContent = this.getTitle();
+
+    Utils.DOM.$$('[data-calendar-view]').forEach(button => {
+      const active = button.dataset.calendarView === this.view;
+      button.classList.toggle('active', active);
+      button.setAttribute('aria-pressed', active);
+    });
+
+    const scrollBody = grid.querySelector('.calendar-timegrid-body');
+    const scrollTop = scrollBody ? scrollBody.scrollTop : null;
+
+    grid.innerHTML = this.view === 'month' ?
+      this.renderMonth(tasksByDate) :
+      this.renderTimeGrid(this.getDays(), tasksByDate);
+
+    // Week and day views: keep the scroll position, or start at the focused hour on a new period
+    const body = grid.querySelector('.calendar-timegrid-body');
+    if (body) {
+      const scrollKey = `${this.view}:${Utils.Date.toISODate(this.getRange().start)}`;
+      if (scrollKey === this.scrollKey && scrollTop !== null) {
+        body.scrollTop = scrollTop;
+      } else {
+        const slot = body.querySelector(`[data-time="${this.formatHour(this.focusHour ?? 8)}"]`);
+        if (slot) body.scrollTop = slot.offsetTop;
+      }
+      this.scrollKey = scrollKey;
+    }
+
+    this.renderBacklog();
+    this.updateRovingFocus();
+
+    const movedTask = this.refocusTaskId && Utils.DOM.$(`#calendar [data-task-id="${this.refocusTaskId}"]`);
+    this.refocusTaskId = null;
+    if (movedTask) {
+      movedTask.tabIndex = 0;
+      movedTask.focus();
+    } else if (hadFocus) {
+      this.focusActiveCell();
+    }
+  }
+
+  renderBacklog() {
+    const list = Utils.DOM.$('#calendarBacklog');
+    if (!list) return;
+
+    const tasks = this.getBacklog();
+    list.innerHTML = tasks.length > 0 ?
+      tasks.map(task => this.renderTask(task, 'calendar-backlog-item')).join('') :
+      '<p class="calendar-backlog-empty">Todas as tarefas pendentes têm data 🎉</p>';
+
+    // The backlog is an ordinary list: every task is a tab stop
+    Utils.DOM.$$('[data-task-id]', list).forEach(item => { item.tabIndex = 0; });
+  }
+
+  renderMonth(tasksByDate) {
+    const maxVisible = 3;
+    const days = this.getDays();
+    const weeks = [];
+    for (let i = 0; i < days.length; i += 7) {
+      weeks.push(days.slice(i, i + 7));
+    }
+
+    const weekdays = [1, 2, 3, 4, 5, 6, 0].map(day => `
+      <div class="calendar-weekday" role="columnheader">
+        <abbr title="${Utils.Date.weekdayNames[day]}">${Utils.Date.weekdayShortNames[day]}</abbr>
+      </div>
+    `).join('');
+
+    const rows = weeks.map(week => `
+      <div class="calendar-week" role="row">
+        ${week.map(date => {
+          const iso = Utils.Date.toISODate(date);
+          const tasks = tasksByDate[iso] || [];
+          const hidden = tasks.length - maxVisible;
+
+          return `
+            <div ${this.getCellAttributes(date, null, tasks, date.getMonth() !== this.cursor.getMonth() ? 'outside' : '')}>
+              <span class="calendar-day-number" aria-hidden="true">${date.getDate()}</span>
+              ${this.renderHoliday(date)}
+              <div class="calendar-day-tasks">
+                ${tasks.slice(0, hidden > 0 ? maxVisible - 1 : maxVisible).map(task => this.renderTask(task)).join('')}
+                ${hidden > 0 ? `
+                  <button type="button" class="calendar-more" data-day="${iso}">+${hidden + 1} mais</button>
+                ` : ''}
+              </div>
+            </div>
+          `;
+        }).join('')}
+      </div>
+    `).join('');
+
+    return `
+      <div class="calendar-month" role="grid" aria-label="${this.getTitle()}">
+        <div class="calendar-weekdays" role="row">${weekdays}</div>
+        ${rows}
+      </div>
+    `;
+  }
+
+  renderTimeGrid(days, tasksByDate) {
+    const today = Utils.Date.toISODate(this.getToday());
+    const currentHour = Utils.Date.now().getHours();
+
+    const headers = days.map(date => {
+      const iso = Utils.Date.toISODate(date);
+      return `
+        <div class="calendar-column-header ${iso === today ? 'today' : ''}" role="columnheader">
+          ${this.view === 'week' ? `
+            <button type="button" class="calendar-column-link" data-day="${iso}" tabindex="-1"
+                    title="Ver o dia">${Utils.Date.weekdayShortNames[date.getDay()]} ${date.getDate()}</button>
+          ` : `<span>${Utils.Date.weekdayNames[date.getDay()]} ${date.getDate()}</span>`}
+          ${this.renderHoliday(date)}
+        </div>
+      `;
+    }).join('');
+
+    const allDay = days.map(date => {
+      const tasks = (tasksByDate[Utils.Date.toISODate(date)] || []).filter(task => !task.dueTime);
+      return `
+        <div ${this.getCellAttributes(date, null, tasks, 'calendar-allday')}>
+          ${tasks.map(task => this.renderTask(task)).join('')}
+        </div>
+      `;
+    }).join('');
+
+    // Slots and block layers are placed explicitly on the body grid so they can overlap
+    const hours = Array.from({ length: 24 }, (_, hour) => `
+      <div class="calendar-hour-row" role="row">
+        <div class="calendar-time-label" role="rowheader" style="grid-area: ${hour + 1} / 1">${this.formatHour(hour)}</div>
+        ${days.map((date, index) => {
+          const iso = Utils.Date.toISODate(date);
+          const tasks = (tasksByDate[iso] || []).filter(task => this.parseHour(task.dueTime) === hour);
+          return `
+            <div ${this.getCellAttributes(date, hour, tasks, iso === today && hour === currentHour ? 'now' : '')}
+                 style="grid-area: ${hour + 1} / ${index + 2}"></div>
+          `;
+        }).join('')}
+      </div>
+    `).join('');
+
+    const blocks = days.map((date, index) => {
+      const iso = Utils.Date.toISODate(date);
+      const tasks = (tasksByDate[iso] || []).filter(task => task.dueTime);
+      return `
+        <div class="calendar-blocks" data-blocks-date="${iso}" style="grid-column: ${index + 2}">
+          ${this.layoutBlocks(tasks).map(block => this.renderBlock(block)).join('')}
+        </div>
+      `;
+    }).join('');
+
+    return `
+      <div class="calendar-timegrid" role="grid" aria-label="${this.getTitle()}" style="--calendar-days: ${days.length}">
+        <div class="calendar-timegrid-header" role="row">
+          <div class="calendar-time-label" role="columnheader"></div>
+          ${headers}
+        </div>
+        <div class="calendar-allday-row" role="row">
+          <div class="calendar-time-label" role="rowheader">Dia inteiro</div>
+          ${allDay}
+        </div>
+        <div class="calendar-timegrid-body">${hours}${blocks}</div>
+      </div>
+    `;
+  }
+
+  // A focusable grid cell; hour is null for whole days
+  getCellAttributes(date, hour, tasks, extraClass = '') {
+    const iso = Utils.Date.toISODate(date);
+    const time = hour === null ? '' : this.formatHour(hour);
+    const holiday = Utils.Angola.getHolidayName(date);
+    const isToday = iso === Utils.Date.toISODate(this.getToday());
+    const focused = this.isFocused(iso, time);
+
+    const label = [
+      this.getDayLabel(date),
+      time || (this.view === 'month' ? '' : 'dia inteiro'),
+      isToday ? 'hoje' : '',
+      holiday ? `feriado: ${holiday}` : '',
+      tasks.length ? `${tasks.length} tarefa${tasks.length === 1 ? '' : 's'}` : 'sem tarefas'
+    ].filter(Boolean).join(', ');
+
+    const classes = [
+      this.view === 'month' ? 'calendar-day' : 'calendar-slot',
+      extraClass,
+      isToday ? 'today' : '',
+      holiday ? 'holiday' : ''
+    ].filter(Boolean).join(' ');
+
+    return `class="${classes}" role="gridcell" data-date="${iso}" data-time="${time}"
+            tabindex="-1" aria-selected="${focused}" aria-label="${Utils.String.escapeAttribute(label)}"
+            ${isToday ? 'aria-current="date"' : ''}`;
+  }
+
+  renderHoliday(date) {
+    const holiday = Utils.Angola.isHoliday(date);
+    if (!holiday) return '';
+
+    const [icon, title] = {
+      bridge: ['🌉', 'Ponte'],
+      custom: ['🏢', 'Feriado da empresa ou pessoal'],
+      optional: ['🇦🇴', 'Data comemorativa']
+    }[holiday.type] || ['🇦🇴', 'Feriado nacional'];
+
+    return `<span class="calendar-holiday ${holiday.type}" title="${title}">${icon} ${Utils.String.sanitizeHtml(holiday.name)}</span>`;
+  }
+
+  // Not a <button>: Firefox can't drag buttons
+  renderTask(task, extraClass = '') {
+    const category = Utils.Angola.getCategory(task.category);
+
+    return `
+      <div class="calendar-task ${extraClass} ${task.priority} ${task.status === 'completed' ? 'completed' : ''}"
+           data-task-id="${task.id}" role="button" tabindex="-1" draggable="true" style="--task-color: ${category.color}"
+           title="${Utils.String.escapeAttribute(task.title)}${task.dueTime ? ` · ${task.dueTime}` : ''}">
+        ${task.dueTime && this.view === 'month' ? `<span class="calendar-task-time">${task.dueTime}</span>` : ''}
+        ${Utils.String.sanitizeHtml(task.title)}
+      </div>
+    `;
+  }
+
+  getTaskMinutes(task) {
+    const time = Utils.Date.parseTime(task.dueTime);
+    return time ? time.hours * 60 + time.minutes : null;
+  }
+
+  formatMinutes(minutes) {
+    const clamped = Math.min(minutes, 24 * 60 - 1);
+    return `${String(Math.floor(clamped / 60)).padStart(2, '0')}:${String(clamped % 60).padStart(2, '0')}`;
+  }
+
+  // Overlapping blocks share the width: each gets a lane within its group of overlaps
+  layoutBlocks(tasks) {
+    const blocks = tasks
+      .map(task => {
+        const start = this.getTaskMinutes(task);
+        return { task, start, end: Math.min(24 * 60, start + (task.duration || this.defaultBlockMinutes)) };
+      })
+      .sort((a, b) => a.start - b.start || b.end - a.end);
+
+    let group = [];
+    let groupEnd = 0;
+    let laneEnds = [];
+    const closeGroup = () => {
+      group.forEach(block => { block.lanes = laneEnds.length; });
+      group = [];
+      laneEnds = [];
+    };
+
+    blocks.forEach(block => {
+      if (group.length > 0 && block.start >= groupEnd) closeGroup();
+
+      let lane = laneEnds.findIndex(end => end <= block.start);
+      if (lane === -1) lane = laneEnds.length;
+      laneEnds[lane] = block.end;
+
+      block.lane = lane;
+      group.push(block);
+      groupEnd = group.length === 1 ? block.end : Math.max(groupEnd, block.end);
+    });
+    closeGroup();
+
+    return blocks;
+  }
+
+  renderBlock({ task, start, end, lane, lanes }) {
+    const category = Utils.Angola.getCategory(task.category);
+    const dayMinutes = 24 * 60;
+
+    return `
+      <div class="calendar-block ${task.priority} ${task.status === 'completed' ? 'completed' : ''} ${end - start < 45 ? 'short' : ''}"
+           data-task-id="${task.id}" data-start="${start}" role="button" tabindex="0" draggable="true"
+           aria-label="${Utils.String.escapeAttribute(`${task.title}, ${this.formatMinutes(start)} às ${this.formatMinutes(end)}`)}"
+           style="top: ${(start / dayMinutes) * 100}%; height: ${((end - start) / dayMinutes) * 100}%;
+                  left: ${(lane / lanes) * 100}%; width: ${100 / lanes}%; --task-color: ${category.color}">
+        <span class="calendar-block-time">${this.formatMinutes(start)} – ${this.formatMinutes(end)}</span>
+        <span class="calendar-block-title">${Utils.String.sanitizeHtml(task.title)}</span>
+        <span class="calendar-block-resize" data-resize title="Arraste para mudar a duração"></span>
+      </div>
+    `;
+  }
+
+  isFocused(date, time) {
+    return date === this.focusDate && (this.view === 'month' || this.parseHour(time) === this.focusHour);
+  }
+
+  // One tab stop for the grid: the focused cell, followed by the tasks inside it
+  updateRovingFocus() {
+    Utils.DOM.$$('#calendarGrid [data-date]').forEach(cell => {
+      const focused = this.isFocused(cell.dataset.date, cell.dataset.time);
+      cell.tabIndex = focused ? 0 : -1;
+      cell.setAttribute('aria-selected', focused);
+      cell.querySelectorAll('[data-task-id], button').forEach(button => {
+        button.tabIndex = focused ? 0 : -1;
+      });
+    });
+  }
+
+  getActiveCell() {
+    const time = this.view === 'month' || this.focusHour === null ? '' : this.formatHour(this.focusHour);
+    return Utils.DOM.$(`#calendarGrid [data-date="${this.focusDate}"][data-time="${time}"]`);
+  }
+
+  focusActiveCell() {
+    const cell = this.getActiveCell();
+    if (cell) {
+      cell.focus({ preventScroll: this.view === 'month' });
+      if (this.view !== 'month') cell.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  handleClick(e) {
+    // The click that ends a resize isn't an edit
+    if (this.justResized) {
+      this.justResized = false;
+      return;
+    }
+
+    const taskButton = e.target.closest('[data-task-id]');
+    if (taskButton) {
+      if (window.Tasks) Tasks.editTask(taskButton.dataset.taskId);
+      return;
+    }
+
+    const dayLink = e.target.closest('[data-day]');
+    if (dayLink) {
+      this.setView('day', dayLink.dataset.day);
+      return;
+    }
+
+    const cell = e.target.closest('[data-date]');
+    if (cell) {
+      this.setFocus(cell.dataset.date, this.parseHour(cell.dataset.time), false);
+      this.createTask(cell.dataset.date, cell.dataset.time || null);
+    }
+  }
+
+  handleKeydown(e) {
+    const taskItem = e.target.closest('[data-task-id]');
+    if (taskItem && e.target === taskItem) {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        if (window.Tasks) Tasks.editTask(taskItem.dataset.taskId);
+        return;
+      }
+
+      // Alt + arrows move the task, Alt + Shift + up/down changes the duration of a block
+      if (e.altKey && e.key.startsWith('Arrow') && !taskItem.classList.contains('calendar-backlog-item')) {
+        e.preventDefault();
+        this.nudgeTask(taskItem.dataset.taskId, e.key, e.shiftKey);
+        return;
+      }
+    }
+
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (!e.target.closest('#calendarGrid')) return;
+
+    const cell = e.target.closest('[data-date]');
+    const date = Utils.Date.parseISODate(this.focusDate);
+    const isMonth = this.view === 'month';
+    const hour = this.focusHour;
+    const moveDays = (days) => this.setFocus(Utils.Date.toISODate(Utils.Date.addDays(date, days)), hour);
+
+    switch (e.key) {
+      case 'ArrowLeft':
+        moveDays(-1);
+        break;
+      case 'ArrowRight':
+        moveDays(1);
+        break;
+      case 'ArrowUp':
+        if (isMonth) {
+          moveDays(-7);
+        } else if (hour !== null) {
+          this.setFocus(this.focusDate, hour === 0 ? null : hour - 1);
+        }
+        break;
+      case 'ArrowDown':
+        if (isMonth) {
+          moveDays(7);
+        } else {
+          this.setFocus(this.focusDate, hour === null ? 0 : Math.min(23, hour + 1));
+        }
+        break;
+      // Start/end of the week; in the day view, the top/bottom of the day
+      case 'Home':
+        if (this.view === 'day') {
+          this.setFocus(this.focusDate, null);
+        } else {
+          this.setFocus(Utils.Date.toISODate(this.getWeekStart(date)), hour);
+        }
+        break;
+      case 'End':
+        if (this.view === 'day') {
+          this.setFocus(this.focusDate, 23);
+        } else {
+          this.setFocus(Utils.Date.toISODate(Utils.Date.addDays(this.getWeekStart(date), 6)), hour);
+        }
+        break;
+      case 'PageUp':
+        this.move(-1);
+        break;
+      case 'PageDown':
+        this.move(1);
+        break;
+      case 'Enter':
+      case ' ':
+        if (!cell || e.target !== cell) return;
+        this.createTask(cell.dataset.date, cell.dataset.time || null);
+        break;
+      case 't':
+      case 'T':
+        this.goToToday();
+        break;
+      case 'm':
+      case 'M':
+        this.setView('month');
+        break;
+      case 's':
+      case 'S':
+        this.setView('week');
+        break;
+      case 'd':
+      case 'D':
+        this.setView('day');
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+  }
+
+  // Drag and drop: month days, all-day cells, hour slots and block layers are drop targets;
+  // dropping on the backlog takes the date away
+  bindDragEvents(container) {
+    container.addEventListener('dragstart', (e) => {
+      const item = e.target.closest('[data-task-id]');
+      if (!item || this.resizing) {
+        if (this.resizing) e.preventDefault();
+        return;
+      }
+
+      // Where the block was grabbed, so it keeps that offset under the pointer
+      let grabMinutes = 0;
+      if (item.classList.contains('calendar-block')) {
+        const layer = item.parentElement.getBoundingClientRect();
+        grabMinutes = ((e.clientY - item.getBoundingClientRect().top) / layer.height) * 24 * 60;
+      }
+
+      this.dragged = { taskId: item.dataset.taskId, grabMinutes };
+      item.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', item.dataset.taskId);
+    });
+
+    container.addEventListener('dragend', (e) => {
+      e.target.closest('[data-task-id]')?.classList.remove('dragging');
+      this.clearDropTarget();
+      this.dragged = null;
+    });
+
+    container.addEventListener('dragover', (e) => {
+      if (!this.dragged) return;
+
+      const target = this.getDropTarget(e);
+      if (!target) return;
+
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      this.showDropTarget(target);
+    });
+
+    container.addEventListener('dragleave', (e) => {
+      if (!container.contains(e.relatedTarget)) this.clearDropTarget();
+    });
+
+    container.addEventListener('drop', (e) => {
+      const target = this.getDropTarget(e);
+      const taskId = e.dataTransfer.getData('text/plain') || this.dragged?.taskId;
+      if (!target || !taskId) return;
+
+      e.preventDefault();
+      this.clearDropTarget();
+      this.dropTask(taskId, target);
+    });
+  }
+
+  // { date, minutes, cell } under the pointer; minutes is null for whole days, date null for the backlog
+  getDropTarget(e) {
+    if (e.target.closest('#calendarBacklog')) {
+      return { date: null, minutes: null, cell: Utils.DOM.$('#calendarBacklog') };
+    }
+
+    const layer = e.target.closest('[data-blocks-date]');
+    const cell = e.target.closest('[data-date]');
+    if (!layer && !cell) return null;
+
+    const date = layer ? layer.dataset.blocksDate : cell.dataset.date;
+    let minutes = null;
+
+    if (layer) {
+      const rect = layer.getBoundingClientRect();
+      minutes = ((e.clientY - rect.top) / rect.height) * 24 * 60;
+    } else if (cell.dataset.time) {
+      const rect = cell.getBoundingClientRect();
+      minutes = this.parseHour(cell.dataset.time) * 60 + ((e.clientY - rect.top) / rect.height) * 60;
+    }
+
+    if (minutes !== null) {
+      minutes -= this.dragged?.grabMinutes || 0;
+      minutes = Math.round(minutes / this.snapMinutes) * this.snapMinutes;
+      minutes = Math.min(24 * 60 - this.snapMinutes, Math.max(0, minutes));
+    }
+
+    const slotTime = minutes === null ? (cell?.dataset.time || '') : this.formatHour(Math.floor(minutes / 60));
+    return {
+      date,
+      minutes,
+      cell: cell && !layer && !cell.dataset.time ? cell : Utils.DOM.$(`#calendarGrid [data-date="${date}"][data-time="${slotTime}"]`)
+    };
+  }
+
+  showDropTarget(target) {
+    if (target.cell === this.dropCell) return;
+
+    this.clearDropTarget();
+    this.dropCell = target.cell;
+    this.dropCell?.classList.add('drop-target');
+  }
+
+  clearDropTarget() {
+    this.dropCell?.classList.remove('drop-target');
+    this.dropCell = null;
+  }
+
+  async dropTask(taskId, { date, minutes }) {
+    const task = (window.Tasks ? Tasks.currentTasks : []).find(item => item.id === taskId) || await Storage.getTask(taskId);
+    if (!task) return;
+
+    if (!date) {
+      await this.rescheduleTask(taskId, { dueDate: null, dueTime: null, duration: null }, 'Tarefa sem data');
+    } else if (minutes === null) {
+      // Month days keep the time; the all-day row of the week and day views removes it
+      const changes = this.view === 'month' ? { dueDate: date } : { dueDate: date, dueTime: null, duration: null };
+      await this.rescheduleTask(taskId, changes, `Tarefa movida para ${Utils.Date.formatDate(Utils.Date.parseISODate(date))}`);
+    } else {
+      await this.rescheduleTask(taskId, {
+        dueDate: date,
+        dueTime: this.formatMinutes(minutes),
+        duration: task.duration || (task.dueTime ? null : this.newBlockMinutes)
+      }, `Tarefa agendada para ${Utils.Date.formatDate(Utils.Date.parseISODate(date))} às ${this.formatMinutes(minutes)}`);
+    }
+  }
+
+  // Resizing a block from its bottom edge sets the duration
+  startResize(e) {
+    const handle = e.target.closest('[data-resize]');
+    if (!handle || e.button !== 0) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+
+    const block = handle.closest('.calendar-block');
+    const start = parseInt(block.dataset.start, 10);
+    const layer = block.parentElement.getBoundingClientRect();
+    this.resizing = { block, taskId: block.dataset.taskId, start, end: null };
+    block.classList.add('resizing');
+    handle.setPointerCapture(e.pointerId);
+
+    const onMove = (event) => {
+      const minutes = ((event.clientY - layer.top) / layer.height) * 24 * 60;
+      const end = Math.min(24 * 60, Math.max(start + this.snapMinutes, Math.round(minutes / this.snapMinutes) * this.snapMinutes));
+
+      this.resizing.end = end;
+      block.style.height = `${((end - start) / (24 * 60)) * 100}%`;
+      block.querySelector('.calendar-block-time').textContent = `${this.formatMinutes(start)} – ${this.formatMinutes(end)}`;
+    };
+
+    const onUp = () => {
+      handle.removeEventListener('pointermove', onMove);
+      handle.removeEventListener('pointerup', onUp);
+      handle.removeEventListener('pointercancel', onUp);
+      block.classList.remove('resizing');
+
+      const { taskId, end } = this.resizing;
+      this.resizing = null;
+      if (end === null) return;
+
+      this.justResized = true;
+      setTimeout(() => { this.justResized = false; }, 0);
+      this.rescheduleTask(taskId, { duration: end - start }, `Duração: ${Utils.Date.formatDuration(end - start)}`);
+    };
+
+    handle.addEventListener('pointermove', onMove);
+    handle.addEventListener('pointerup', onUp);
+    handle.addEventListener('pointercancel', onUp);
+  }
+
+  // Keyboard alternative to dragging
+  nudgeTask(taskId, key, resize) {
+    const task = (window.Tasks ? Tasks.currentTasks : []).find(item => item.id === taskId);
+    if (!task?.dueDate) return;
+
+    const date = Utils.Date.parseISODate(task.dueDate);
+    const start = this.getTaskMinutes(task);
+    const isBlock = start !== null && this.view !== 'month';
+    const step = this.snapMinutes;
+    const vertical = key === 'ArrowUp' ? -1 : key === 'ArrowDown' ? 1 : 0;
+    const horizontal = key === 'ArrowLeft' ? -1 : key === 'ArrowRight' ? 1 : 0;
+
+    this.refocusTaskId = taskId;
+
+    if (resize && isBlock && vertical) {
+      const duration = Math.max(step, Math.min(24 * 60 - start, (task.duration || this.defaultBlockMinutes) + vertical * step));
+      this.rescheduleTask(taskId, { duration }, `Duração: ${Utils.Date.formatDuration(duration)}`);
+    } else if (isBlock && vertical) {
+      const minutes = Math.max(0, Math.min(24 * 60 - step, start + vertical * step));
+      this.rescheduleTask(taskId, { dueTime: this.formatMinutes(minutes) }, `Tarefa às ${this.formatMinutes(minutes)}`);
+    } else if (horizontal || (this.view === 'month' && vertical)) {
+      const days = horizontal || vertical * 7;
+      const dueDate = Utils.Date.toISODate(Utils.Date.addDays(date, days));
+      this.rescheduleTask(taskId, { dueDate }, `Tarefa movida para ${Utils.Date.formatDate(Utils.Date.parseISODate(dueDate))}`);
+    }
+  }
+
+  // Saves new date/time/duration through Storage.saveTask, with undo
+  async rescheduleTask(taskId, changes, message) {
+    try {
+      const task = await Storage.getTask(taskId);
+      if (!task) {
+        showToast('Tarefa não encontrada', 'danger');
+        return;
+      }
+
+      const updated = { ...task, ...changes };
+      const unchanged = ['dueDate', 'dueTime', 'duration'].every(key => (updated[key] || null) === (task[key] || null));
+      if (unchanged) return;
+
+      await TaskHistory.record('Reagendar tarefa', [taskId], () => Storage.saveTask(updated));
+
+      await Storage.trackEvent('task_rescheduled', {
+        taskId,
+        from: task.dueDate,
+        to: updated.dueDate || null,
+        dueTime: updated.dueTime || null,
+        duration: updated.duration || null
+      });
+
+      if (window.Tasks) {
+        await Tasks.loadTasks();
+        Tasks.showUndoToast(message);
+      }
+    } catch (error) {
+      console.error('Error rescheduling task:', error);
+      showToast('Erro ao reagendar tarefa', 'danger');
+    }
+  }
+
+  createTask(date, time = null) {
+    if (window.Tasks) {
+      Tasks.showTaskModal(null, { dueDate: date, dueTime: time });
+    }
+  }
+}
+
+// Initialize calendar
+window.Calendar = new CalendarManager();
+
+// Export for other modules
+window.CalendarManager = CalendarManager;
@@ -0,0 +1,393 @@
+/**
+ * List Kamba - Focus Mode
+ * Full-screen view of a running focus session that holds back distractions
+ * and can play ambient sound generated with the Web Audio API
+ */
+
+class FocusModeManager {
+  constructor() {
+    this.active = false;
+    this.lastStatus = null;
+    this.audio = null; // { context, master, stop } while a sound plays
+    this.shieldTimer = null; // extends the shield while the session is paused
+    this.pausedShieldMs = 5 * 60 * 1000;
+
+    this.settings = {
+      autoEnter: true, // open focus mode whenever a focus session starts
+      sound: 'none',
+      volume: 40 // 0-100
+    };
+
+    this.sounds = {
+      none: 'Sem som',
+      rain: '🌧️ Chuva',
+      cafe: '☕ Café'
+    };
+
+    this.init();
+  }
+
+  async init() {
+    await this.loadSettings();
+    this.bindEvents();
+    this.renderSettings();
+  }
+
+  async loadSettings() {
+    try {
+      const saved = await Storage.getSetting('focusMode', {});
+      this.settings = { ...this.settings, ...saved };
+      if (!this.sounds[this.settings.sound]) this.settings.sound = 'none';
+    } catch (error) {
+      console.error('Error loading focus mode settings:', error);
+    }
+  }
+
+  async saveSettings() {
+    try {
+      await Storage.setSetting('focusMode', this.settings);
+    } catch (error) {
+      console.error('Error saving focus mode settings:', error);
+    }
+  }
+
+  bindEvents() {
+    Utils.DOM.$('#focusModeToggle')?.addEventListener('click', () => this.enter());
+    Utils.DOM.$('#focusExit')?.addEventListener('click', () => this.exit());
+    Utils.DOM.$('#focusToggle')?.addEventListener('click', () => Pomodoro.toggle());
+    Utils.DOM.$('#focusSkip')?.addEventListener('click', () => Pomodoro.skip());
+
+    Utils.DOM.$('#focusAutoEnter')?.addEventListener('change', (e) => {
+      this.settings.autoEnter = e.target.checked;
+      this.saveSettings();
+    });
+
+    Utils.DOM.$$('[data-focus-sound]').forEach(select => {
+      select.addEventListener('change', (e) => this.setSound(e.target.value));
+    });
+
+    Utils.DOM.$$('[data-focus-volume]').forEach(input => {
+      input.addEventListener('input', (e) => this.setVolume(parseInt(e.target.value, 10)));
+      input.addEventListener('change', () => this.saveSettings());
+    });
+
+    document.addEventListener('pomodoroUpdated', () => this.onTimerUpdated());
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.active) {
+        this.exit();
+      }
+    });
+
+    // Leaving full screen with the browser's own controls closes focus mode too
+    document.addEventListener('fullscreenchange', () => {
+      if (!document.fullscreenElement && this.active) {
+        this.exit();
+      }
+    });
+  }
+
+  isFocusSession() {
+    const { phase, status } = Pomodoro.state;
+    return phase === 'work' && status !== 'idle';
+  }
+
+  onTimerUpdated() {
+    const { status } = Pomodoro.state;
+    const statusChanged = status !== this.lastStatus;
+
+    // Only a session started now opens focus mode, not one resumed after a reload
+    if (this.settings.autoEnter && !this.active && statusChanged && this.lastStatus !== null &&
+        status === 'running' && Pomodoro.state.phase === 'work') {
+      this.enter();
+    } else if (this.active && !this.isFocusSession()) {
+      // Finished, skipped or reset
+      this.exit();
+    } else if (this.active) {
+      if (statusChanged) this.updateShield();
+      this.render();
+    }
+
+    this.lastStatus = status;
+  }
+
+  enter() {
+    if (this.active) return;
+
+    const overlay = Utils.DOM.$('#focusOverlay');
+    if (!overlay) return;
+
+    this.active = true;
+    overlay.hidden = false;
+    document.body.classList.add('focus-mode-active');
+
+    // Needs the click that started the session; without it focus mode simply stays in the page
+    if (document.fullscreenEnabled && !document.fullscreenElement) {
+      document.documentElement.requestFullscreen().catch(() => {});
+    }
+
+    this.startSound();
+    this.updateShield();
+    this.render();
+
+    Utils.DOM.$('#focusToggle')?.focus();
+    Storage.trackEvent('focus_mode_entered', { taskId: Pomodoro.state.taskId, sound: this.settings.sound });
+  }
+
+  exit() {
+    if (!this.active) return;
+
+    this.active = false;
+    Utils.DOM.$('#focusOverlay').hidden = true;
+    document.body.classList.remove('focus-mode-active');
+
+    if (document.fullscreenElement) {
+      document.exitFullscreen().catch(() => {});
+    }
+
+    this.stopSound();
+    this.clearShieldTimer();
+    if (window.Notifications) Notifications.setFocusShield(null);
+  }
+
+  // Held-back notifications wait until the session would end. A paused session has no end, so the
+  // shield is held a few minutes at a time and extended while it stays paused; should the app close,
+  // it still runs out.
+  updateShield() {
+    if (!window.Notifications) return;
+
+    if (Pomodoro.state.status === 'paused') {
+      Notifications.setFocusShield(new Date(Utils.Date.now().getTime() + this.pausedShieldMs));
+      if (!this.shieldTimer) {
+        this.shieldTimer = setInterval(() => this.updateShield(), this.pausedShieldMs / 2);
+      }
+      return;
+    }
+
+    this.clearShieldTimer();
+    const until = new Date(Utils.Date.now().getTime() + Pomodoro.getRemaining());
+    Notifications.setFocusShield(until);
+  }
+
+  clearShieldTimer() {
+    clearInterval(this.shieldTimer);
+    this.shieldTimer = null;
+  }
+
+  // Next open tasks by due date, the one in focus left out
+  getNextUp(limit = 3) {
+    const farFuture = new Date(8640000000000000);
+
+    return Pomodoro.tasks
+      .filter(task => task.id !== Pomodoro.state.taskId && task.status !== 'completed')
+      .sort((a, b) =>
+        (Utils.Date.getDueDateTime(a.dueDate, a.dueTime) || farFuture) -
+        (Utils.Date.getDueDateTime(b.dueDate, b.dueTime) || farFuture)
+      )
+      .slice(0, limit);
+  }
+
+  render() {
+    if (!this.active) return;
+
+    const { status, interruptions } = Pomodoro.state;
+    const task = Pomodoro.getTask();
+
+    Utils.DOM.$('#focusClock').textContent = Pomodoro.formatClock(Pomodoro.getRemaining());
+    Utils.DOM.$('#focusTask').textContent = task ? task.title : 'Sessão de foco';
+    Utils.DOM.$('#focusOverlay').dataset.status = status;
+
+    const toggle = Utils.DOM.$('#focusToggle');
+    if (toggle) toggle.textContent = status === 'running' ? '⏸ Pausar' : '▶ Continuar';
+
+    const interruptionsLabel = Utils.DOM.$('#focusInterruptions');
+    if (interruptionsLabel) {
+      interruptionsLabel.textContent = interruptions ?
+        `${interruptions} interrupç${interruptions === 1 ? 'ão' : 'ões'} nesta sessão` :
+        '';
+    }
+
+    const nextUp = Utils.DOM.$('#focusNextUp');
+    if (nextUp) {
+      const tasks = this.getNextUp();
+      nextUp.innerHTML = tasks.length > 0 ?
+        tasks.map(item => `
+          <li>
+            <span>${Utils.String.sanitizeHtml(item.title)}</span>
+            ${item.dueDate && window.Tasks ? `<span class="focus-next-due">${Tasks.getDueLabel(item)}</span>` : ''}
+          </li>
+        `).join('') :
+        '<li class="focus-next-empty">Nada mais por agora</li>';
+    }
+  }
+
+  renderSettings() {
+    const autoEnter = Utils.DOM.$('#focusAutoEnter');
+    if (autoEnter) autoEnter.checked = this.settings.autoEnter;
+
+    Utils.DOM.$$('[data-focus-sound]').forEach(select => {
+      select.innerHTML = Object.entries(this.sounds)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join('');
+      select.value = this.settings.sound;
+    });
+
+    Utils.DOM.$$('[data-focus-volume]').forEach(input => {
+      input.value = this.settings.volume;
+    });
+  }
+
+  setSound(sound) {
+    if (!this.sounds[sound]) return;
+
+    this.settings.sound = sound;
+    this.saveSettings();
+    this.renderSettings();
+
+    if (this.active) {
+      this.stopSound();
+      this.startSound();
+    }
+  }
+
+  setVolume(volume) {
+    this.settings.volume = Math.min(100, Math.max(0, volume || 0));
+
+    Utils.DOM.$$('[data-focus-volume]').forEach(input => {
+      input.value = this.settings.volume;
+    });
+
+    if (this.audio) {
+      this.audio.master.gain.setTargetAtTime(this.settings.volume / 100, this.audio.context.currentTime, 0.1);
+    }
+  }
+
+  // Ambient sound: filtered noise, generated on the fly so no audio files are needed
+  startSound() {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (this.settings.sound === 'none' || this.audio || !AudioContext) return;
+
+    try {
+      const context = new AudioContext();
+      const master = context.createGain();
+      master.gain.value = 0;
+      master.gain.setTargetAtTime(this.settings.volume / 100, context.currentTime, 0.5); // fade in
+      master.connect(context.destination);
+
+      const stop = this.settings.sound === 'rain' ?
+        this.playRain(context, master) :
+        this.playCafe(context, master);
+
+      this.audio = { context, master, stop };
+    } catch (error) {
+      console.warn('Could not start ambient sound:', error);
+    }
+  }
+
+  stopSound() {
+    if (!this.audio) return;
+
+    const { context, master, stop } = this.audio;
+    this.audio = null;
+
+    // Fade out before closing so the sound doesn't click
+    master.gain.setTargetAtTime(0, context.currentTime, 0.2);
+    setTimeout(() => {
+      stop();
+      context.close();
+    }, 800);
+  }
+
+  createNoise(context, color) {
+    const buffer = context.createBuffer(1, context.sampleRate * 4, context.sampleRate);
+    const data = buffer.getChannelData(0);
+    let last = 0;
+
+    for (let i = 0; i < data.length; i++) {
+      const white = Math.random() * 2 - 1;
+      if (color === 'brown') {
+        last = (last + 0.02 * white) / 1.02;
+        data[i] = last * 3.5;
+      } else {
+        data[i] = white;
+      }
+    }
+
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.loop = true;
+    return source;
+  }
+
+  // Rain: a soft hiss over a low rumble, slowly swelling
+  playRain(context, output) {
+    const hiss = this.createNoise(context, 'white');
+    const hissFilter = context.createBiquadFilter();
+    hissFilter.type = 'lowpass';
+    hissFilter.frequency.value = 2500;
+    const hissGain = context.createGain();
+    hissGain.gain.value = 0.35;
+    hiss.connect(hissFilter).connect(hissGain).connect(output);
+
+    const rumble = this.createNoise(context, 'brown');
+    const rumbleGain = context.createGain();
+    rumbleGain.gain.value = 0.6;
+    rumble.connect(rumbleGain).connect(output);
+
+    const swell = context.createOscillator();
+    const swellDepth = context.createGain();
+    swell.frequency.value = 0.08;
+    swellDepth.gain.value = 0.1;
+    swell.connect(swellDepth).connect(hissGain.gain);
+
+    [hiss, rumble, swell].forEach(node => node.start());
+    return () => [hiss, rumble, swell].forEach(node => node.stop());
+  }
+
+  // Café: muffled murmur of voices with the odd cup clinking
+  playCafe(context, output) {
+    const murmur = this.createNoise(context, 'brown');
+    const murmurFilter = context.createBiquadFilter();
+    murmurFilter.type = 'bandpass';
+    murmurFilter.frequency.value = 450;
+    murmurFilter.Q.value = 0.7;
+    const murmurGain = context.createGain();
+    murmurGain.gain.value = 0.9;
+    murmur.connect(murmurFilter).connect(murmurGain).connect(output);
+
+    const chatter = context.createOscillator();
+    const chatterDepth = context.createGain();
+    chatter.frequency.value = 0.3;
+    chatterDepth.gain.value = 0.25;
+    chatter.connect(chatterDepth).connect(murmurGain.gain);
+
+    let clinkTimer = null;
+    const clink = () => {
+      const tone = context.createOscillator();
+      const envelope = context.createGain();
+      const now = context.currentTime;
+
+      tone.frequency.value = 2000 + Math.random() * 1500;
+      envelope.gain.setValueAtTime(0.08, now);
+      envelope.gain.exponentialRampToValueAtTime(0.001, now + 0.4);
+      tone.connect(envelope).connect(output);
+      tone.start(now);
+      tone.stop(now + 0.4);
+
+      clinkTimer = setTimeout(clink, 2000 + Math.random() * 6000);
+    };
+    clinkTimer = setTimeout(clink, 1500);
+
+    [murmur, chatter].forEach(node => node.start());
+    return () => {
+      clearTimeout(clinkTimer);
+      [murmur, chatter].forEach(node => node.stop());
+    };
+  }
+}
+
+// Initialize focus mode
+window.FocusMode = new FocusModeManager();
+
+// Export for other modules
+window.FocusModeManager = FocusModeManager;
@@ -0,0 +1,161 @@
+/**
+ * List Kamba - Task History
+ * Undo/redo stack for task mutations, persisted across reloads
+ */
+
+class TaskHistoryManager {
+  constructor() {
+    this.limit = 20; // commands kept (and persisted) per stack
+    this.undoStack = [];
+    this.redoStack = [];
+    this.busy = false;
+
+    this.loaded = this.loadHistory();
+    document.addEventListener('tasksPurged', (e) => this.forget(e.detail.taskIds));
+  }
+
+  async loadHistory() {
+    try {
+      const saved = await Storage.getSetting('taskHistory', {});
+      this.undoStack = saved.undo || [];
+      this.redoStack = saved.redo || [];
+    } catch (error) {
+      console.error('Error loading task history:', error);
+    }
+  }
+
+  async saveHistory() {
+    try {
+      await Storage.setSetting('taskHistory', {
+        undo: this.undoStack.slice(-this.limit),
+        redo: this.redoStack.slice(-this.limit)
+      });
+    } catch (error) {
+      console.error('Error saving task history:', error);
+    }
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  async snapshot(taskIds) {
+    const snapshots = {};
+    for (const id of taskIds) {
+      const task = await Storage.getTask(id);
+      snapshots[id] = task ? JSON.parse(JSON.stringify(task)) : null;
+    }
+    return snapshots;
+  }
+
+  /**
+   * Run a mutation on the given tasks and record it as one undoable command.
+   * The mutation may return the ids of tasks it created.
+   */
+  async record(label, taskIds, mutation) {
+    const before = await this.snapshot(taskIds);
+    const result = await mutation();
+
+    // Created tasks and newly spawned recurring occurrences didn't exist before
+    const createdIds = [].concat(Array.isArray(result) ? result : []).filter(Boolean);
+    const after = await this.snapshot(taskIds);
+    Object.entries(after).forEach(([id, task]) => {
+      if (task?.nextOccurrenceId && task.nextOccurrenceId !== before[id]?.nextOccurrenceId) {
+        createdIds.push(task.nextOccurrenceId);
+      }
+    });
+    createdIds.forEach(id => {
+      if (!(id in before)) before[id] = null;
+    });
+    Object.assign(after, await this.snapshot(createdIds.filter(id => !(id in after))));
+
+    const changes = Object.keys(before)
+      .map(id => ({ id, before: before[id], after: after[id] || null }))
+      .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+
+    if (changes.length > 0) {
+      this.undoStack.push({ label, changes, at: Utils.Date.now().toISOString() });
+      this.undoStack = this.undoStack.slice(-this.limit);
+      this.redoStack = [];
+      await this.saveHistory();
+    }
+
+    return result;
+  }
+
+  // Drops purged tasks from every command so undo/redo can't bring them back;
+  // commands left with nothing to change are removed
+  async forget(taskIds) {
+    await this.loaded;
+
+    const ids = new Set(taskIds);
+    const prune = stack => stack
+      .map(command => ({ ...command, changes: command.changes.filter(change => !ids.has(change.id)) }))
+      .filter(command => command.changes.length > 0);
+
+    this.undoStack = prune(this.undoStack);
+    this.redoStack = prune(this.redoStack);
+    await this.saveHistory();
+  }
+
+  // Fields a change touched (null when it created or removed the task)
+  changedFields(change) {
+    if (!change.before || !change.after) return null;
+
+    const fields = new Set([...Object.keys(change.before), ...Object.keys(change.after)]);
+    fields.delete('updatedAt');
+    return [...fields].filter(field =>
+      JSON.stringify(change.before[field]) !== JSON.stringify(change.after[field])
+    );
+  }
+
+  async undo() {
+    await this.step(this.undoStack, this.redoStack, 'before', 'Anulado', 'Refazer', () => this.redo());
+  }
+
+  async redo() {
+    await this.step(this.redoStack, this.undoStack, 'after', 'Refeito', 'Anular', () => this.undo());
+  }
+
+  async step(fromStack, toStack, side, verb, actionLabel, action) {
+    if (this.busy) return;
+
+    const command = fromStack.pop();
+    if (!command) {
+      showToast(side === 'before' ? 'Nada para anular' : 'Nada para refazer', 'info');
+      return;
+    }
+
+    this.busy = true;
+    try {
+      for (const change of command.changes) {
+        await Storage.applyTaskSnapshot(change.id, change[side], this.changedFields(change));
+      }
+
+      toStack.push(command);
+      await this.saveHistory();
+      await Storage.trackEvent(side === 'before' ? 'history_undo' : 'history_redo', { label: command.label });
+
+      if (window.Tasks) {
+        await Tasks.loadTasks();
+        Tasks.showToast(`${verb}: ${command.label}`, 'info', { label: actionLabel, onClick: action });
+      }
+    } catch (error) {
+      console.error('Error applying task history:', error);
+      fromStack.push(command);
+      showToast('Erro ao anular/refazer', 'danger');
+    } finally {
+      this.busy = false;
+    }
+  }
+}
+
+// Initialize task history
+window.TaskHistory = new TaskHistoryManager();
+
+// Export for other modules
+window.TaskHistoryManager = TaskHistoryManager;
@@ -0,0 +1,194 @@
+/**
+ * List Kamba - Holidays
+ * Settings for the holiday calendar in Utils.Angola: bridge days, optional
+ * celebration dates and the user's own (e.g. company) holidays
+ */
+
+class HolidayManager {
+  constructor() {
+    this.syncedYear = null;
+    this.init();
+  }
+
+  async init() {
+    await this.loadSettings();
+    this.bindEvents();
+    this.render();
+
+    // A new year needs the dates of the year after it
+    setInterval(() => {
+      if (Utils.Date.now().getFullYear() !== this.syncedYear) {
+        this.syncDates();
+        this.render();
+      }
+    }, 60 * 60 * 1000);
+  }
+
+  async loadSettings() {
+    try {
+      const saved = await Storage.getSetting('holidays', {});
+      Utils.Angola.configureHolidays(saved);
+      this.refreshDependents();
+    } catch (error) {
+      console.error('Error loading holiday settings:', error);
+    }
+  }
+
+  async saveSettings(options) {
+    try {
+      const saved = Utils.Angola.configureHolidays(options);
+      await Storage.setSetting('holidays', saved);
+      this.render();
+      this.refreshDependents();
+    } catch (error) {
+      console.error('Error saving holiday settings:', error);
+      showToast('Erro ao guardar os feriados', 'danger');
+    }
+  }
+
+  // Quiet hours and digests (and through them, reminders) use Utils.Angola directly; the
+  // service worker gets the dates through syncDates. The calendar shows them.
+  refreshDependents() {
+    this.syncDates();
+    if (window.Calendar) Calendar.render();
+  }
+
+  // The service worker can't load utils.js, so it gets this year's and next year's dates through settings
+  async syncDates() {
+    const year = Utils.Date.now().getFullYear();
+    const dates = [year, year + 1].flatMap(y => Utils.Angola.getHolidays(y).map(holiday => holiday.date));
+    this.syncedYear = year;
+
+    try {
+      await Storage.setSetting('holidayDates', dates);
+    } catch (error) {
+      console.error('Error syncing holiday dates:', error);
+    }
+  }
+
+  bindEvents() {
+    Utils.DOM.$('#holidayBridges')?.addEventListener('change', (e) => {
+      this.saveSettings({ ...Utils.Angola.holidayOptions, bridges: e.target.checked });
+    });
+
+    Utils.DOM.$('#holidayOptional')?.addEventListener('change', (e) => {
+      const { optional } = Utils.Angola.holidayOptions;
+      const id = e.target.value;
+      this.saveSettings({
+        ...Utils.Angola.holidayOptions,
+        optional: e.target.checked ? [...optional, id] : optional.filter(item => item !== id)
+      });
+    });
+
+    Utils.DOM.$('#customHolidayForm')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.addCustom();
+    });
+  }
+
+  addCustom() {
+    const nameInput = Utils.DOM.$('#customHolidayName');
+    const dateInput = Utils.DOM.$('#customHolidayDate');
+    const name = nameInput.value.trim();
+
+    if (!name || !Utils.Date.parseISODate(dateInput.value)) {
+      showToast('Indique o nome e a data do feriado', 'warning');
+      return;
+    }
+
+    const holiday = {
+      id: Utils.String.generateId(),
+      name,
+      date: dateInput.value,
+      yearly: Utils.DOM.$('#customHolidayYearly').checked
+    };
+
+    this.saveSettings({
+      ...Utils.Angola.holidayOptions,
+      custom: [...Utils.Angola.holidayOptions.custom, holiday]
+    });
+
+    nameInput.value = '';
+    dateInput.value = '';
+    showToast(`Feriado "${name}" adicionado`, 'success');
+  }
+
+  removeCustom(id) {
+    this.saveSettings({
+      ...Utils.Angola.holidayOptions,
+      custom: Utils.Angola.holidayOptions.custom.filter(holiday => holiday.id !== id)
+    });
+  }
+
+  // Holidays from today on, this year and the next
+  getUpcoming(limit = 5) {
+    const today = Utils.Date.now();
+    const todayIso = Utils.Date.toISODate(today);
+    const year = today.getFullYear();
+
+    return [...Utils.Angola.getHolidays(year), ...Utils.Angola.getHolidays(year + 1)]
+      .filter(holiday => holiday.date >= todayIso)
+      .slice(0, limit);
+  }
+
+  render() {
+    const options = Utils.Angola.holidayOptions;
+
+    const bridges = Utils.DOM.$('#holidayBridges');
+    if (bridges) bridges.checked = options.bridges;
+
+    const optional = Utils.DOM.$('#holidayOptional');
+    if (optional) {
+      optional.innerHTML = Utils.Angola.holidayRules
+        .filter(rule => rule.optional)
+        .map(rule => `
+          <div class="form-check">
+            <input type="checkbox" id="holiday-${rule.id}" class="form-check-input" value="${rule.id}"
+                   ${options.optional.includes(rule.id) ? 'checked' : ''}>
+            <label for="holiday-${rule.id}" class="form-check-label">
+              ${rule.name} <span class="holiday-date">${String(rule.day).padStart(2, '0')}/${String(rule.month).padStart(2, '0')}</span>
+            </label>
+          </div>
+        `).join('');
+    }
+
+    const custom = Utils.DOM.$('#customHolidayList');
+    if (custom) {
+      custom.innerHTML = options.custom.length > 0 ?
+        options.custom.map(holiday => `
+          <li class="holiday-item">
+            <span>
+              ${Utils.String.sanitizeHtml(holiday.name)}
+              <span class="holiday-date">
+                ${holiday.yearly ?
+                  Utils.Date.formatDate(Utils.Date.parseISODate(holiday.date)).substr(0, 5) + ' · todos os anos' :
+                  Utils.Date.formatDate(Utils.Date.parseISODate(holiday.date))}
+              </span>
+            </span>
+            <button type="button" class="btn btn-ghost btn-sm" onclick="Holidays.removeCustom('${holiday.id}')"
+                    aria-label="Remover ${Utils.String.escapeAttribute(holiday.name)}">✕</button>
+          </li>
+        `).join('') :
+        '<li class="holiday-empty">Nenhum feriado adicionado</li>';
+    }
+
+    const upcoming = Utils.DOM.$('#holidayUpcoming');
+    if (upcoming) {
+      upcoming.innerHTML = this.getUpcoming().map(holiday => `
+        <li class="holiday-item ${holiday.type}">
+          <span>${Utils.String.sanitizeHtml(holiday.name)}</span>
+          <span class="holiday-date">
+            ${Utils.Date.weekdayShortNames[Utils.Date.parseISODate(holiday.date).getDay()]},
+            ${Utils.Date.formatDate(Utils.Date.parseISODate(holiday.date))}
+          </span>
+        </li>
+      `).join('');
+    }
+  }
+}
+
+// Initialize holidays
+window.Holidays = new HolidayManager();
+
+// Export for other modules
+window.HolidayManager = HolidayManager;
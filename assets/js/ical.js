@@ -0,0 +1,520 @@
+/**
+ * List Kamba - iCalendar
+ * Exports tasks as an .ics file (RFC 5545) and reads .ics files from other calendars back into tasks
+ */
+
+// Tasks scheduled as time blocks (a time and a duration) become VEVENTs so they show up as
+// events in Google Calendar or Outlook; every other task is a VTODO, due on its date.
+// Dates and times are written in Angola time (Africa/Luanda, UTC+1, no daylight saving).
+//
+// parseTasks() returns task fields:
+// {
+//   icalUid: 'abc@google.com', // UID, used to find the task again on re-import
+//   title, description,
+//   category: 'trabalho',      // first CATEGORIES value matching a category, the rest become tags
+//   tags: [],
+//   priority: 'alta',          // from PRIORITY 1-9
+//   status: 'pending',
+//   dueDate: '2026-10-20',     // Angola time, converted from UTC or the event's TZID
+//   dueTime: '09:30',          // null for all-day entries
+//   duration: 60,              // minutes, events only
+//   recurrence: { ... },       // from RRULE, see recurrence.js
+//   completedAt: null
+// }
+const ICalUtils = {
+  timezone: 'Africa/Luanda',
+  uidDomain: 'list-kamba',
+  angolaOffsetMs: 60 * 60 * 1000,
+
+  priorities: { alta: 1, media: 5, baixa: 9 },
+
+  todoStatuses: {
+    pending: 'NEEDS-ACTION',
+    in_progress: 'IN-PROCESS',
+    completed: 'COMPLETED',
+    archived: 'CANCELLED'
+  },
+
+  weekdays: ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'],
+
+  // UID of an exported task; imported tasks keep the UID they came with
+  getUid(task) {
+    return task.icalUid || `${task.id}@${this.uidDomain}`;
+  },
+
+  // Export
+
+  fromTasks(tasks, now = new Date()) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//List Kamba//Tarefas//PT',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'X-WR-CALNAME:List Kamba',
+      `X-WR-TIMEZONE:${this.timezone}`,
+      'BEGIN:VTIMEZONE',
+      `TZID:${this.timezone}`,
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      'TZOFFSETFROM:+0100',
+      'TZOFFSETTO:+0100',
+      'TZNAME:WAT',
+      'END:STANDARD',
+      'END:VTIMEZONE',
+      ...this.withUniqueUids(tasks).flatMap(task => this.taskToComponent(task, now)),
+      'END:VCALENDAR'
+    ];
+
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  },
+
+  // A UID is one entry: tasks sharing one (older data) fall back to their own
+  withUniqueUids(tasks) {
+    const seen = new Set();
+
+    return tasks.map(task => {
+      const uid = this.getUid(task);
+      if (!seen.has(uid)) {
+        seen.add(uid);
+        return task;
+      }
+      return { ...task, icalUid: null };
+    });
+  },
+
+  taskToComponent(task, now) {
+    const isEvent = !!(task.dueDate && task.dueTime && task.duration);
+    const type = isEvent ? 'VEVENT' : 'VTODO';
+    const due = this.formatDue(task.dueDate, task.dueTime);
+    const category = Utils.Angola.getCategory(task.category);
+
+    const lines = [
+      `BEGIN:${type}`,
+      `UID:${this.escapeText(this.getUid(task))}`,
+      `DTSTAMP:${this.formatUTC(now)}`
+    ];
+
+    if (task.createdAt) lines.push(`CREATED:${this.formatStamp(task.createdAt)}`);
+    if (task.updatedAt) lines.push(`LAST-MODIFIED:${this.formatStamp(task.updatedAt)}`);
+
+    lines.push(`SUMMARY:${this.escapeText(task.title)}`);
+    if (task.description) {
+      lines.push(`DESCRIPTION:${this.escapeText(task.description)}`);
+    }
+
+    lines.push(`CATEGORIES:${[category.name, ...(task.tags || [])].map(value => this.escapeText(value)).join(',')}`);
+    lines.push(`PRIORITY:${this.priorities[task.priority] || this.priorities.media}`);
+
+    if (isEvent) {
+      lines.push(`DTSTART${due}`, `DURATION:${this.formatDuration(task.duration)}`);
+      lines.push(`STATUS:${task.status === 'archived' ? 'CANCELLED' : 'CONFIRMED'}`);
+      // Events have no "completed" status; keep ours for the way back
+      lines.push(`X-LISTKAMBA-STATUS:${task.status}`);
+    } else {
+      if (due) {
+        // Recurring to-dos need a start for the rule to count from
+        if (task.recurrence) lines.push(`DTSTART${due}`);
+        lines.push(`DUE${due}`);
+      }
+      lines.push(`STATUS:${this.todoStatuses[task.status] || this.todoStatuses.pending}`);
+      if (task.status === 'completed') {
+        lines.push('PERCENT-COMPLETE:100');
+        if (task.completedAt) lines.push(`COMPLETED:${this.formatStamp(task.completedAt)}`);
+      }
+    }
+
+    const rrule = due && this.toRRule(task.recurrence, task.dueTime);
+    if (rrule) lines.push(`RRULE:${rrule}`);
+
+    lines.push(`END:${type}`);
+    return lines;
+  },
+
+  // ";TZID=Africa/Luanda:20261020T093000" or ";VALUE=DATE:20261020", appended to DUE/DTSTART
+  formatDue(dueDate, dueTime) {
+    if (!dueDate) return '';
+
+    const date = dueDate.replace(/-/g, '');
+    return dueTime ?
+      `;TZID=${this.timezone}:${date}T${dueTime.replace(':', '')}00` :
+      `;VALUE=DATE:${date}`;
+  },
+
+  formatUTC(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  },
+
+  // Stored timestamps come from Utils.Date.now(), an hour ahead of UTC
+  formatStamp(isoString) {
+    return this.formatUTC(new Date(new Date(isoString).getTime() - this.angolaOffsetMs));
+  },
+
+  formatDuration(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return `PT${hours ? `${hours}H` : ''}${rest || !hours ? `${rest}M` : ''}`;
+  },
+
+  // UNTIL takes the value type of DTSTART: a date, or for timed tasks the end of that day in UTC
+  toRRule(recurrence, dueTime = null) {
+    const rule = Utils.Recurrence.normalize(recurrence);
+    if (!rule) return null;
+
+    const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+
+    if (rule.freq === 'weekly' && rule.byWeekday.length > 0) {
+      parts.push(`BYDAY=${rule.byWeekday.map(day => this.weekdays[day]).join(',')}`);
+    }
+
+    if (rule.freq === 'monthly') {
+      if (rule.monthlyMode === 'weekday') {
+        parts.push(`BYDAY=${rule.bySetPos}${this.weekdays[rule.byWeekday[0]]}`);
+      } else if (rule.byMonthDay) {
+        parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+      }
+    }
+
+    if (rule.until) {
+      const [year, month, day] = rule.until.split('-').map(Number);
+      parts.push(`UNTIL=${dueTime ?
+        this.formatUTC(Date.UTC(year, month - 1, day, 23, 59, 59) - this.angolaOffsetMs) :
+        rule.until.replace(/-/g, '')}`);
+    } else if (rule.count) {
+      // The exported series starts at this task's occurrence
+      parts.push(`COUNT=${Math.max(1, rule.count - rule.occurrence + 1)}`);
+    }
+
+    return parts.join(';');
+  },
+
+  escapeText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  },
+
+  // Lines longer than 75 bytes continue on the next line after a space
+  foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+
+    for (const char of line) {
+      const size = encoder.encode(char).length;
+      if (bytes + size > (parts.length === 0 ? 75 : 74)) {
+        parts.push(current);
+        current = '';
+        bytes = 0;
+      }
+      current += char;
+      bytes += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  },
+
+  // Import
+
+  // Content lines into nested components: { name, properties: [{ name, params, value }], components }
+  parse(text) {
+    const lines = String(text)
+      .replace(/\r\n/g, '\n')
+      .replace(/\n[ \t]/g, '') // unfold
+      .split('\n')
+      .filter(line => line.trim());
+
+    const root = { name: 'ROOT', properties: [], components: [] };
+    const stack = [root];
+
+    lines.forEach(line => {
+      const property = this.parseLine(line);
+      if (!property) return;
+
+      if (property.name === 'BEGIN') {
+        const component = { name: property.value.toUpperCase(), properties: [], components: [] };
+        stack[stack.length - 1].components.push(component);
+        stack.push(component);
+      } else if (property.name === 'END') {
+        if (stack.length > 1) stack.pop();
+      } else {
+        stack[stack.length - 1].properties.push(property);
+      }
+    });
+
+    return root;
+  },
+
+  // NAME;PARAM=value;PARAM="quoted:value":property value
+  parseLine(line) {
+    let index = 0;
+    let inQuotes = false;
+    while (index < line.length && (inQuotes || line[index] !== ':')) {
+      if (line[index] === '"') inQuotes = !inQuotes;
+      index++;
+    }
+    if (index >= line.length) return null;
+
+    const [name, ...rawParams] = line.slice(0, index).match(/(?:[^;"]|"[^"]*")+/g) || [];
+    if (!name) return null;
+
+    const params = {};
+    rawParams.forEach(param => {
+      const separator = param.indexOf('=');
+      if (separator > 0) {
+        params[param.slice(0, separator).toUpperCase()] = param.slice(separator + 1).replace(/^"|"$/g, '');
+      }
+    });
+
+    return { name: name.toUpperCase(), params, value: line.slice(index + 1) };
+  },
+
+  unescapeText(value) {
+    return String(value || '').replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+  },
+
+  // Splits a list value on the commas that aren't escaped
+  splitList(value) {
+    return (String(value).match(/(?:\\.|[^,\\])+/g) || []).map(item => this.unescapeText(item).trim()).filter(Boolean);
+  },
+
+  // To-dos and events of every calendar in the file, as task fields. Changed instances of a
+  // recurring entry (RECURRENCE-ID) are left out, and each UID is read once.
+  parseTasks(text) {
+    const calendars = this.parse(text).components.filter(component => component.name === 'VCALENDAR');
+    const seen = new Set();
+    const tasks = [];
+
+    calendars.forEach(calendar => {
+      calendar.components
+        .filter(component => component.name === 'VTODO' || component.name === 'VEVENT')
+        .forEach(component => {
+          const get = name => component.properties.find(property => property.name === name);
+          if (get('RECURRENCE-ID')) return;
+
+          const task = this.componentToTask(component, get);
+          if (!task || seen.has(task.icalUid)) return;
+
+          seen.add(task.icalUid);
+          tasks.push(task);
+        });
+    });
+
+    return tasks;
+  },
+
+  componentToTask(component, get) {
+    const isEvent = component.name === 'VEVENT';
+    const summary = get('SUMMARY');
+    const uid = get('UID');
+
+    const task = {
+      icalUid: uid ? this.unescapeText(uid.value) : `${Utils.String.generateId()}@${this.uidDomain}-import`,
+      title: (summary && this.unescapeText(summary.value).trim()) || '(sem título)',
+      description: get('DESCRIPTION') ? this.unescapeText(get('DESCRIPTION').value) : '',
+      category: 'outros',
+      tags: [],
+      priority: this.parsePriority(get('PRIORITY')?.value),
+      status: this.parseStatus(component, get),
+      dueDate: null,
+      dueTime: null,
+      duration: null,
+      recurrence: null,
+      completedAt: null
+    };
+
+    // Every CATEGORIES property counts; the first value naming a category sets it
+    let categorySet = false;
+    component.properties
+      .filter(property => property.name === 'CATEGORIES')
+      .flatMap(property => this.splitList(property.value))
+      .forEach(value => {
+        const category = this.findCategory(value);
+        if (category && !categorySet) {
+          task.category = category.id;
+          categorySet = true;
+        } else if (!category) {
+          task.tags.push(Utils.String.normalizeTag(value));
+        }
+      });
+    task.tags = [...new Set(task.tags.filter(Boolean))];
+
+    const start = this.parseDateTime(get('DTSTART'));
+    const due = isEvent ? start : (this.parseDateTime(get('DUE')) || start);
+    if (due) {
+      task.dueDate = due.date;
+      task.dueTime = due.time;
+    }
+
+    if (isEvent && start?.time) {
+      const end = this.parseDateTime(get('DTEND'));
+      const minutes = get('DURATION') ?
+        this.parseDuration(get('DURATION').value) :
+        end && end.time ? Math.round((end.ms - start.ms) / 60000) : null;
+      task.duration = minutes > 0 ? Math.min(minutes, 24 * 60) : null;
+    }
+
+    if (due && get('RRULE')) {
+      task.recurrence = this.fromRRule(get('RRULE').value, due.date);
+    }
+
+    if (task.status === 'completed') {
+      const completed = this.parseDateTime(get('COMPLETED'));
+      task.completedAt = completed ? new Date(completed.ms + this.angolaOffsetMs).toISOString() : Utils.Date.now().toISOString();
+    }
+
+    return task;
+  },
+
+  findCategory(value) {
+    const key = Utils.String.removeAccents(value.toLowerCase());
+    return Utils.Angola.taskCategories.find(category =>
+      category.id === key || Utils.String.removeAccents(category.name.toLowerCase()) === key
+    ) || null;
+  },
+
+  // 1-4 high, 5 (or unset) medium, 6-9 low
+  parsePriority(value) {
+    const priority = parseInt(value, 10);
+    if (priority >= 1 && priority <= 4) return 'alta';
+    if (priority >= 6 && priority <= 9) return 'baixa';
+    return 'media';
+  },
+
+  parseStatus(component, get) {
+    const own = get('X-LISTKAMBA-STATUS')?.value;
+    if (Object.prototype.hasOwnProperty.call(this.todoStatuses, own)) return own;
+
+    const status = (get('STATUS')?.value || '').toUpperCase();
+    if (status === 'CANCELLED') return 'archived';
+    if (component.name === 'VEVENT') return 'pending';
+    if (status === 'COMPLETED' || get('COMPLETED') || get('PERCENT-COMPLETE')?.value === '100') return 'completed';
+    if (status === 'IN-PROCESS') return 'in_progress';
+    return 'pending';
+  },
+
+  // { date: 'YYYY-MM-DD', time: 'HH:MM' | null, ms } in Angola time; ms is the UTC instant
+  parseDateTime(property) {
+    if (!property) return null;
+
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(property.value.trim());
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    const fields = [year, month - 1, day, hours || 0, minutes || 0, seconds || 0].map(Number);
+
+    if (hours === undefined || property.params.VALUE === 'DATE') {
+      return {
+        date: `${year}-${month}-${day}`,
+        time: null,
+        ms: Date.UTC(...fields) - this.angolaOffsetMs
+      };
+    }
+
+    let ms;
+    if (utc) {
+      ms = Date.UTC(...fields);
+    } else if (property.params.TZID) {
+      ms = this.zonedToUTC(fields, property.params.TZID);
+    } else {
+      // Floating time: the same clock time wherever you are, read as Angola time
+      ms = Date.UTC(...fields) - this.angolaOffsetMs;
+    }
+
+    const angola = new Date(ms + this.angolaOffsetMs);
+    const pad = value => String(value).padStart(2, '0');
+    return {
+      date: `${angola.getUTCFullYear()}-${pad(angola.getUTCMonth() + 1)}-${pad(angola.getUTCDate())}`,
+      time: `${pad(angola.getUTCHours())}:${pad(angola.getUTCMinutes())}`,
+      ms
+    };
+  },
+
+  // UTC instant of a clock time in an IANA time zone; unknown zones are read as Angola time
+  zonedToUTC(fields, timeZone) {
+    const guess = Date.UTC(...fields);
+
+    try {
+      const offsetAt = instant => {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+          timeZone,
+          hourCycle: 'h23',
+          year: 'numeric', month: '2-digit', day: '2-digit',
+          hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }).formatToParts(new Date(instant)).forEach(part => { parts[part.type] = part.value; });
+
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+      };
+
+      // Second pass corrects guesses that land on the other side of a DST change
+      const first = guess - offsetAt(guess);
+      return guess - offsetAt(first);
+    } catch (error) {
+      return guess - this.angolaOffsetMs;
+    }
+  },
+
+  // "PT1H30M", "P1D", "-PT15M" -> minutes
+  parseDuration(value) {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+    if (!match) return null;
+
+    const [, sign, weeks, days, hours, minutes] = match.map(part => part || 0);
+    const total = ((+weeks * 7 + +days) * 24 + +hours) * 60 + +minutes;
+    return sign === '-' ? -total : total;
+  },
+
+  // RRULE into our rule; parts we can't represent (BYHOUR, several monthly weekdays...) are dropped
+  fromRRule(value, startDate) {
+    const parts = {};
+    String(value).split(';').forEach(part => {
+      const [key, ...rest] = part.split('=');
+      if (key) parts[key.toUpperCase()] = rest.join('=').toUpperCase();
+    });
+
+    const freq = (parts.FREQ || '').toLowerCase();
+    if (!Utils.Recurrence.frequencies.includes(freq)) return null;
+
+    const rule = { freq, interval: parts.INTERVAL };
+    const start = Utils.Date.parseISODate(startDate);
+    const byDay = (parts.BYDAY || '').split(',').filter(Boolean)
+      .map(day => /^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(day))
+      .filter(Boolean);
+
+    if (freq === 'weekly') {
+      rule.byWeekday = byDay.map(([, , day]) => this.weekdays.indexOf(day));
+    }
+
+    if (freq === 'monthly') {
+      if (byDay.length > 0) {
+        const [, position, day] = byDay[0];
+        rule.monthlyMode = 'weekday';
+        rule.byWeekday = [this.weekdays.indexOf(day)];
+        rule.bySetPos = parseInt(position || parts.BYSETPOS, 10) || Utils.Recurrence.getSetPos(start);
+      } else {
+        rule.monthlyMode = 'day';
+        rule.byMonthDay = parseInt(parts.BYMONTHDAY, 10) || start?.getDate();
+      }
+    }
+
+    if (freq === 'yearly') {
+      rule.byMonthDay = start?.getDate();
+    }
+
+    // A UTC UNTIL ends on its date in Angola time
+    const until = parts.UNTIL && this.parseDateTime({ value: parts.UNTIL, params: {} });
+    if (until) rule.until = until.date;
+    if (parts.COUNT) rule.count = parts.COUNT;
+
+    return Utils.Recurrence.normalize(rule);
+  }
+};
+
+// Register with the shared utilities
+window.Utils.ICal = ICalUtils;
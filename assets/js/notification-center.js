@@ -0,0 +1,217 @@
+/**
+ * List Kamba - Notification Centre
+ * Bell in the header with the history of notifications and toasts
+ */
+
+class NotificationCenterManager {
+  constructor() {
+    this.items = [];
+    this.limit = 100; // entries shown in the panel
+    this.isOpen = false;
+
+    this.typeIcons = {
+      task_due: '⏰',
+      task_overdue: '🔴',
+      task_completed: '🎉',
+      task_catch_up: '🔔',
+      pomodoro_start: '🍅',
+      pomodoro_complete: '🎯',
+      break_complete: '⏰',
+      morning_agenda: '🌅',
+      quiet_summary: '🌙',
+      daily_summary: '📋'
+    };
+
+    this.toastIcons = {
+      success: '✅',
+      danger: '❌',
+      warning: '⚠️',
+      info: 'ℹ️'
+    };
+
+    this.bindEvents();
+    this.refresh();
+  }
+
+  bindEvents() {
+    const bell = Utils.DOM.$('#notificationBell');
+    if (bell) {
+      bell.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.toggle();
+      });
+    }
+
+    Utils.DOM.$('#markAllNotificationsRead')?.addEventListener('click', () => this.markAllRead());
+    Utils.DOM.$('#clearNotifications')?.addEventListener('click', () => this.clear());
+
+    // Close when clicking outside the panel or pressing Escape
+    document.addEventListener('click', (e) => {
+      if (this.isOpen && !e.target.closest('.notification-center')) {
+        this.close();
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen) {
+        this.close();
+        Utils.DOM.$('#notificationBell')?.focus();
+      }
+    });
+
+    // New entries from this page...
+    document.addEventListener('notificationRecorded', () => this.refresh());
+
+    // ...and reminders delivered by the service worker
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data?.type === 'reminders-delivered') {
+          this.refresh();
+        }
+      });
+    }
+  }
+
+  async refresh() {
+    try {
+      this.items = await Storage.getNotificationHistory(this.limit);
+      this.renderBadge();
+      if (this.isOpen) this.renderList();
+    } catch (error) {
+      console.error('Error loading notification centre:', error);
+    }
+  }
+
+  getUnreadCount() {
+    return this.items.filter(item => !item.read).length;
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  open() {
+    const panel = Utils.DOM.$('#notificationPanel');
+    if (!panel) return;
+
+    this.isOpen = true;
+    panel.hidden = false;
+    Utils.DOM.$('#notificationBell')?.setAttribute('aria-expanded', 'true');
+    this.renderList();
+  }
+
+  close() {
+    const panel = Utils.DOM.$('#notificationPanel');
+    if (!panel) return;
+
+    this.isOpen = false;
+    panel.hidden = true;
+    Utils.DOM.$('#notificationBell')?.setAttribute('aria-expanded', 'false');
+  }
+
+  renderBadge() {
+    const badge = Utils.DOM.$('#notificationBadge');
+    if (!badge) return;
+
+    const unread = this.getUnreadCount();
+    badge.hidden = unread === 0;
+    badge.textContent = unread > 99 ? '99+' : String(unread);
+
+    Utils.DOM.$('#notificationBell')?.setAttribute(
+      'aria-label',
+      unread > 0 ? `Notificações (${unread} por ler)` : 'Notificações'
+    );
+  }
+
+  renderList() {
+    const list = Utils.DOM.$('#notificationList');
+    if (!list) return;
+
+    const hasItems = this.items.length > 0;
+    const markAll = Utils.DOM.$('#markAllNotificationsRead');
+    const clear = Utils.DOM.$('#clearNotifications');
+    if (markAll) markAll.disabled = this.getUnreadCount() === 0;
+    if (clear) clear.disabled = !hasItems;
+
+    if (!hasItems) {
+      list.innerHTML = `
+        <div class="notification-empty">
+          <span>🔕</span>
+          <p>Sem notificações</p>
+        </div>
+      `;
+      return;
+    }
+
+    list.innerHTML = this.items.map(item => this.renderItem(item)).join('');
+  }
+
+  renderItem(item) {
+    const icon = item.type === 'toast' ?
+      (this.toastIcons[item.level] || this.toastIcons.info) :
+      (this.typeIcons[item.type] || '🔔');
+
+    return `
+      <div class="notification-entry ${item.read ? '' : 'unread'}" data-notification-id="${item.id}">
+        <span class="notification-entry-icon">${icon}</span>
+        <div class="notification-entry-content">
+          <div class="notification-entry-title">${Utils.String.sanitizeHtml(item.title)}</div>
+          ${item.body ? `<div class="notification-entry-body">${Utils.String.sanitizeHtml(item.body)}</div>` : ''}
+          <div class="notification-entry-meta">
+            <span>${Utils.Date.getRelativeTime(new Date(item.createdAt))}</span>
+            ${item.quiet ? '<span title="Retida durante as horas de silêncio">🌙 Silêncio</span>' : ''}
+            ${item.taskId ? `
+              <button type="button" class="btn btn-ghost btn-sm" onclick="NotificationCenter.openTask('${item.id}', '${item.taskId}')">
+                Ver tarefa
+              </button>
+            ` : ''}
+          </div>
+        </div>
+        ${item.read ? '' : `
+          <button type="button" class="notification-entry-read" onclick="NotificationCenter.markRead('${item.id}')"
+                  title="Marcar como lida" aria-label="Marcar como lida"></button>
+        `}
+      </div>
+    `;
+  }
+
+  async markRead(id) {
+    await Storage.markNotificationsRead([id]);
+    await this.refresh();
+  }
+
+  async markAllRead() {
+    await Storage.markNotificationsRead();
+    await this.refresh();
+  }
+
+  async clear() {
+    if (!confirm('Limpar todo o histórico de notificações?')) {
+      return;
+    }
+
+    const count = await Storage.clearNotificationHistory();
+    await Storage.trackEvent('notification_history_cleared', { count });
+    await this.refresh();
+  }
+
+  async openTask(id, taskId) {
+    await this.markRead(id);
+    this.close();
+
+    if (window.Notifications) {
+      Notifications.navigateToPage('tasks');
+      Notifications.highlightTask(taskId);
+    }
+  }
+}
+
+// Initialize notification centre
+window.NotificationCenter = new NotificationCenterManager();
+
+// Export for other modules
+window.NotificationCenterManager = NotificationCenterManager;
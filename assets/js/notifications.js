@@ -13,12 +13,27 @@ class NotificationManager {
       sound: true,
       taskReminders: true,
       pomodoroAlerts: true,
-      dailySummary: true,
-      reminderTime: 30, // minutes before due date
+      reminderTime: 30, // minutes before a timed task is due
+      allDayReminderTime: '08:00', // all-day tasks are reminded that morning
+      digests: {
+        morning: { enabled: true, time: '07:30', weekdays: [1, 2, 3, 4, 5] },
+        evening: { enabled: true, time: '20:00', weekdays: [0, 1, 2, 3, 4, 5, 6] },
+        skipHolidays: true
+      },
+      // One window per weekday (index = Date#getDay(); windows may run past midnight)
       quietHours: {
         enabled: false,
-        start: '22:00',
-        end: '08:00'
+        days: Array.from({ length: 7 }, () => ({ enabled: true, start: '22:00', end: '08:00' })),
+        weekendAllDay: false,
+        holidayAllDay: false
+      },
+      doNotDisturbUntil: null, // "Não incomodar" until this moment
+      focusUntil: null, // set by focus mode; expires on its own if the page goes away
+      escalation: {
+        repeatDaily: true, // high-priority overdue tasks are notified again every morning
+        raiseAfterDays: 3, // 0 = never raise the priority of overdue tasks
+        includeInDigest: true,
+        appBadge: true
       }
     };
 
@@ -28,6 +43,14 @@ class NotificationManager {
   async init() {
     // Load notification settings
     await this.loadSettings();
+    await this.migrateReminderFlags();
+
+    // Focus mode doesn't reopen after a reload, so a shield left by the last page would hold
+    // toasts and notifications back with nothing on screen
+    if (this.settings.focusUntil && !window.FocusMode?.active) {
+      this.updateSettings({ focusUntil: null });
+    }
+    this.notificationQueue = Utils.Storage.get('notificationQueue', []);
     
     // Request permission if not already granted
     await this.requestPermission();
@@ -38,6 +61,14 @@ class NotificationManager {
     
     // Bind events
     this.bindEvents();
+    this.bindDigestSettings();
+    this.renderDigestSettings();
+    this.bindQuietSettings();
+    this.renderQuietSettings();
+    this.startQuietHoursService();
+    this.bindEscalationSettings();
+    this.renderEscalationSettings();
+    this.startEscalationService();
     
     console.log('Notification system initialized');
   }
@@ -45,12 +76,67 @@ class NotificationManager {
   async loadSettings() {
     try {
       const savedSettings = await Storage.getSetting('notifications', {});
-      this.settings = { ...this.settings, ...savedSettings };
+      const digests = savedSettings.digests || {};
+
+      // `dailySummary` used to switch the (evening) summary on and off
+      if (savedSettings.dailySummary === false && !savedSettings.digests) {
+        digests.evening = { ...this.settings.digests.evening, enabled: false };
+      }
+      delete savedSettings.dailySummary;
+
+      // Quiet hours used to be a single start/end window for every day
+      const quietHours = savedSettings.quietHours || {};
+      if (quietHours.start && !quietHours.days) {
+        quietHours.days = Array.from({ length: 7 }, () => ({ enabled: true, start: quietHours.start, end: quietHours.end }));
+        delete quietHours.start;
+        delete quietHours.end;
+      }
+
+      this.settings = {
+        ...this.settings,
+        ...savedSettings,
+        quietHours: { ...this.settings.quietHours, ...quietHours },
+        escalation: { ...this.settings.escalation, ...savedSettings.escalation },
+        digests: {
+          ...this.settings.digests,
+          ...digests,
+          morning: { ...this.settings.digests.morning, ...digests.morning },
+          evening: { ...this.settings.digests.evening, ...digests.evening }
+        }
+      };
     } catch (error) {
       console.error('Error loading notification settings:', error);
     }
   }
 
+  // Older versions kept `reminder_sent_<id>` / `overdue_sent_<id>` flags in localStorage
+  async migrateReminderFlags() {
+    try {
+      const keys = Object.keys(localStorage).filter(key => /^(reminder|overdue)_sent_/.test(key));
+
+      for (const key of keys) {
+        const [, kind, taskId] = key.match(/^(reminder|overdue)_sent_(.+)$/);
+        const task = await Storage.getTask(taskId);
+
+        if (task?.dueDate) {
+          const dueKey = `${task.dueDate}T${task.dueTime || 'all-day'}`;
+          await Storage.recordReminderDelivery({
+            id: `${task.id}:${kind === 'overdue' ? 'overdue' : 'default'}:${dueKey}`,
+            taskId: task.id,
+            reminderId: kind === 'overdue' ? null : 'default',
+            kind,
+            dueKey,
+            scheduledAt: null
+          });
+        }
+
+        Utils.Storage.remove(key);
+      }
+    } catch (error) {
+      console.error('Error migrating reminder flags:', error);
+    }
+  }
+
   async saveSettings() {
     try {
       await Storage.setSetting('notifications', this.settings);
@@ -80,6 +166,36 @@ class NotificationManager {
     window.addEventListener('online', () => {
       this.processNotificationQueue();
     });
+
+    // Notification clicks and actions handled by the service worker
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        this.onServiceWorkerMessage(event.data || {});
+      });
+    }
+  }
+
+  async onServiceWorkerMessage({ type, data }) {
+    try {
+      if (type === 'notification-clicked') {
+        this.navigateToPage(data.page || 'tasks');
+        if (data.taskId) this.highlightTask(data.taskId);
+      }
+
+      if (type === 'task-updated') {
+        await Storage.spawnPendingOccurrences();
+        if (window.Tasks) await Tasks.loadTasks();
+
+        const messages = {
+          complete: 'Tarefa concluída a partir da notificação',
+          'snooze-10': 'Lembrete adiado 10 minutos',
+          'snooze-tomorrow': 'Lembrete adiado até amanhã'
+        };
+        if (messages[data.action]) this.showToast(messages[data.action], 'success');
+      }
+    } catch (error) {
+      console.error('Error handling service worker message:', error);
+    }
   }
 
   async requestPermission() {
@@ -88,6 +204,12 @@ class NotificationManager {
       return false;
     }
 
+    // Already granted on an earlier visit: nothing to announce
+    if (Notification.permission === 'granted') {
+      this.permission = 'granted';
+      return true;
+    }
+
     try {
       this.permission = await Notification.requestPermission();
       
@@ -112,30 +234,84 @@ class NotificationManager {
     return true;
   }
 
-  isQuietTime() {
-    if (!this.settings.quietHours.enabled) return false;
+  isQuietTime(now = Utils.Date.now()) {
+    if (this.isDoNotDisturb(now)) return true;
 
-    const now = Utils.Date.now();
-    const currentTime = Utils.Date.formatTime(now);
-    const startTime = this.settings.quietHours.start;
-    const endTime = this.settings.quietHours.end;
+    const quietHours = this.settings.quietHours;
+    if (!quietHours.enabled) return false;
+
+    const day = now.getDay();
+    if (quietHours.weekendAllDay && (day === 0 || day === 6)) return true;
+    if (quietHours.holidayAllDay && Utils.Angola.isHoliday(now)) return true;
+
+    // Today's window, or the part of yesterday's overnight window that runs past midnight
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    return this.isInQuietWindow(quietHours.days[day], minutes, false) ||
+      this.isInQuietWindow(quietHours.days[(day + 6) % 7], minutes, true);
+  }
+
+  isInQuietWindow(quietWindow, minutes, afterMidnight) {
+    const start = Utils.Date.parseTime(quietWindow?.start);
+    const end = Utils.Date.parseTime(quietWindow?.end);
+    if (!quietWindow?.enabled || !start || !end) return false;
 
-    // Handle overnight quiet hours (e.g., 22:00 to 08:00)
-    if (startTime > endTime) {
-      return currentTime >= startTime || currentTime <= endTime;
-    } else {
-      return currentTime >= startTime && currentTime <= endTime;
+    const startMinutes = start.hours * 60 + start.minutes;
+    const endMinutes = end.hours * 60 + end.minutes;
+    if (startMinutes === endMinutes) return false;
+
+    const overnight = startMinutes > endMinutes;
+    if (afterMidnight) return overnight && minutes < endMinutes;
+    return overnight ? minutes >= startMinutes : minutes >= startMinutes && minutes < endMinutes;
+  }
+
+  isDoNotDisturb(now = Utils.Date.now()) {
+    return !!this.settings.doNotDisturbUntil && now < new Date(this.settings.doNotDisturbUntil);
+  }
+
+  // Focus mode lets through only critical notifications and toasts
+  isFocusShielded(now = Utils.Date.now()) {
+    return !!this.settings.focusUntil && now < new Date(this.settings.focusUntil);
+  }
+
+  setFocusShield(until) {
+    this.updateSettings({ focusUntil: until ? until.toISOString() : null });
+
+    if (!until) {
+      this.processNotificationQueue();
+      this.requestReminderCheck();
     }
   }
 
+  setDoNotDisturb(hours) {
+    const until = hours ? new Date(Utils.Date.now().getTime() + hours * 60 * 60 * 1000).toISOString() : null;
+    this.updateSettings({ doNotDisturbUntil: until });
+    this.renderQuietSettings();
+
+    Storage.trackEvent('do_not_disturb', { hours: hours || 0 });
+    if (!hours) this.processNotificationQueue();
+  }
+
+
   async sendNotification(options) {
-    if (!this.canSendNotification()) {
-      this.queueNotification(options);
+    const heldBack = this.isQuietTime() || (!options.critical && this.isFocusShielded());
+    const canSend = this.canSendNotification() && !heldBack;
+
+    // Everything lands in the notification centre once, including what quiet hours hold back
+    if (!options.recorded) {
+      await this.recordNotification(options, { quiet: heldBack });
+      options = { ...options, recorded: true };
+    }
+
+    if (!canSend) {
+      // Held back for quiet hours or focus mode; anything else (disabled, no permission) stays only in the centre
+      if (this.settings.enabled && this.permission === 'granted' && heldBack) {
+        this.queueNotification(options);
+      }
       return null;
     }
 
     try {
-      const notification = new Notification(options.title, {
+      const notificationOptions = {
         body: options.body,
         icon: options.icon || '/assets/icons/icon-192x192.png',
         badge: '/assets/icons/icon-72x72.png',
@@ -143,7 +319,29 @@ class NotificationManager {
         requireInteraction: options.requireInteraction || false,
         silent: !this.settings.sound,
         data: options.data || {}
-      });
+      };
+
+      // Action buttons only exist on notifications shown by the service worker,
+      // which also handles the clicks (even with the app closed)
+      if (options.actions && 'serviceWorker' in navigator) {
+        const registration = await navigator.serviceWorker.getRegistration();
+        if (registration) {
+          await registration.showNotification(options.title, {
+            ...notificationOptions,
+            actions: options.actions,
+            data: { ...notificationOptions.data, type: options.type || 'generic' }
+          });
+
+          await Storage.trackEvent('notification_sent', {
+            type: options.type || 'generic',
+            title: options.title
+          });
+
+          return null;
+        }
+      }
+
+      const notification = new Notification(options.title, notificationOptions);
 
       // Store reference
       if (options.tag) {
@@ -182,11 +380,27 @@ class NotificationManager {
       return notification;
     } catch (error) {
       console.error('Error sending notification:', error);
-      this.showToast(options.title, 'info');
+      this.showToast(options.title, 'info', 5000, false);
       return null;
     }
   }
 
+  async recordNotification(options, extra = {}) {
+    const record = await Storage.addNotificationRecord({
+      type: options.type || 'generic',
+      title: options.title,
+      body: options.body || '',
+      taskId: options.data?.taskId || null,
+      page: options.data?.page || null,
+      ...extra
+    });
+
+    if (record) {
+      document.dispatchEvent(new CustomEvent('notificationRecorded', { detail: record }));
+    }
+    return record;
+  }
+
   queueNotification(options) {
     this.notificationQueue.push({
       ...options,
@@ -197,39 +411,225 @@ class NotificationManager {
     Utils.Storage.set('notificationQueue', this.notificationQueue);
   }
 
+  // Releases what quiet hours held back: a single summary instead of a burst of notifications
   async processNotificationQueue() {
-    if (this.notificationQueue.length === 0) return;
+    if (this.notificationQueue.length === 0 || !this.canSendNotification() || this.isFocusShielded()) return;
 
     const queue = [...this.notificationQueue];
     this.notificationQueue = [];
+    Utils.Storage.remove('notificationQueue');
+
+    if (queue.length === 1) {
+      await this.sendNotification(queue[0]);
+      return;
+    }
+
+    const lines = queue.slice(0, 5).map(notification => `• ${notification.body || notification.title}`);
+    if (queue.length > lines.length) {
+      lines.push(`+ ${queue.length - lines.length} mais`);
+    }
 
-    for (const notification of queue) {
-      // Skip very old queued notifications (older than 1 hour)
-      if (Date.now() - notification.queuedAt > 60 * 60 * 1000) {
-        continue;
+    await this.sendNotification({
+      title: `🌙 ${queue.length} notificações em espera`,
+      body: lines.join('\n'),
+      tag: 'quiet-summary',
+      type: 'quiet_summary',
+      data: {
+        page: 'tasks'
       }
+    });
+  }
 
-      await this.sendNotification(notification);
-      
-      // Small delay between notifications
-      await new Promise(resolve => setTimeout(resolve, 1000));
+  startQuietHoursService() {
+    // Release held notifications as soon as quiet time ends
+    setInterval(() => {
+      this.processNotificationQueue();
+      if (this.settings.doNotDisturbUntil && !this.isDoNotDisturb()) {
+        this.updateSettings({ doNotDisturbUntil: null });
+        this.renderQuietSettings();
+      }
+    }, 60000);
+  }
+
+  // Escalation: overdue tasks climb in priority every `raiseAfterDays` days late
+  startEscalationService() {
+    this.escalateOverdueTasks();
+    this.updateAppBadge();
+
+    setInterval(() => this.escalateOverdueTasks(), 60 * 60 * 1000); // hourly
+  }
+
+  async escalateOverdueTasks() {
+    try {
+      const raised = await Storage.escalateOverdueTasks(this.settings.escalation.raiseAfterDays);
+      if (raised.length === 0) return;
+
+      raised.forEach(task => {
+        this.showToast(`Prioridade de "${task.title}" subiu para ${Utils.String.capitalize(task.priority)} (em atraso)`, 'warning');
+      });
+
+      if (window.Tasks) await Tasks.loadTasks();
+    } catch (error) {
+      console.error('Error escalating overdue tasks:', error);
     }
+  }
 
-    // Clear persisted queue
-    Utils.Storage.remove('notificationQueue');
+  // Overdue count on the app icon (Badging API, installed apps)
+  async updateAppBadge(tasks = null) {
+    if (!('setAppBadge' in navigator)) return;
+
+    try {
+      const list = tasks || await Storage.getTasks();
+      const now = Utils.Date.now();
+      const overdue = list.filter(task =>
+        task.dueDate && (task.status === 'pending' || task.status === 'in_progress') &&
+        Utils.Date.getDueDateTime(task.dueDate, task.dueTime) < now
+      ).length;
+
+      if (this.settings.escalation.appBadge && overdue > 0) {
+        await navigator.setAppBadge(overdue);
+      } else {
+        await navigator.clearAppBadge();
+      }
+    } catch (error) {
+      console.warn('App badge unavailable:', error);
+    }
+  }
+
+  bindEscalationSettings() {
+    ['#escalationRepeatDaily', '#escalationRaiseAfter', '#escalationDigest', '#escalationBadge'].forEach(selector => {
+      Utils.DOM.$(selector)?.addEventListener('change', () => this.updateEscalationFromForm());
+    });
+  }
+
+  renderEscalationSettings() {
+    const escalation = this.settings.escalation;
+
+    const repeatDaily = Utils.DOM.$('#escalationRepeatDaily');
+    if (repeatDaily) repeatDaily.checked = escalation.repeatDaily;
+    const raiseAfter = Utils.DOM.$('#escalationRaiseAfter');
+    if (raiseAfter) raiseAfter.value = String(escalation.raiseAfterDays);
+    const digest = Utils.DOM.$('#escalationDigest');
+    if (digest) digest.checked = escalation.includeInDigest;
+    const badge = Utils.DOM.$('#escalationBadge');
+    if (badge) badge.checked = escalation.appBadge;
+  }
+
+  updateEscalationFromForm() {
+    this.updateSettings({
+      escalation: {
+        repeatDaily: !!Utils.DOM.$('#escalationRepeatDaily')?.checked,
+        raiseAfterDays: parseInt(Utils.DOM.$('#escalationRaiseAfter')?.value, 10) || 0,
+        includeInDigest: !!Utils.DOM.$('#escalationDigest')?.checked,
+        appBadge: !!Utils.DOM.$('#escalationBadge')?.checked
+      }
+    });
+
+    this.updateAppBadge();
+    this.escalateOverdueTasks();
+  }
+
+  bindQuietSettings() {
+    Utils.DOM.$('#dndToggle')?.addEventListener('click', () => {
+      const hours = parseInt(Utils.DOM.$('#dndDuration')?.value, 10) || 1;
+      this.setDoNotDisturb(this.isDoNotDisturb() ? 0 : hours);
+    });
+
+    ['#quietHoursEnabled', '#quietWeekendAllDay', '#quietHolidayAllDay'].forEach(selector => {
+      Utils.DOM.$(selector)?.addEventListener('change', () => this.updateQuietFromForm());
+    });
+
+    Utils.DOM.$('#quietSchedule')?.addEventListener('change', () => this.updateQuietFromForm());
   }
 
+  renderQuietSettings() {
+    const quietHours = this.settings.quietHours;
+
+    const status = Utils.DOM.$('#dndStatus');
+    const toggle = Utils.DOM.$('#dndToggle');
+    if (status && toggle) {
+      const active = this.isDoNotDisturb();
+      status.textContent = active ?
+        `Ativo até ${Utils.Date.formatDateTime(new Date(this.settings.doNotDisturbUntil))}` :
+        'Desativado';
+      toggle.textContent = active ? 'Desativar' : 'Ativar';
+      toggle.classList.toggle('btn-primary', !active);
+      toggle.classList.toggle('btn-secondary', active);
+    }
+
+    const enabled = Utils.DOM.$('#quietHoursEnabled');
+    if (enabled) enabled.checked = quietHours.enabled;
+    const weekend = Utils.DOM.$('#quietWeekendAllDay');
+    if (weekend) weekend.checked = quietHours.weekendAllDay;
+    const holiday = Utils.DOM.$('#quietHolidayAllDay');
+    if (holiday) holiday.checked = quietHours.holidayAllDay;
+
+    const schedule = Utils.DOM.$('#quietSchedule');
+    if (!schedule) return;
+
+    const dayNames = ['Domingo', 'Segunda', 'Terça', 'Quarta', 'Quinta', 'Sexta', 'Sábado'];
+    // Monday first, as in the rest of the app
+    schedule.innerHTML = [1, 2, 3, 4, 5, 6, 0].map(day => {
+      const quietWindow = quietHours.days[day];
+      return `
+        <div class="quiet-day" data-day="${day}">
+          <label class="quiet-day-name">
+            <input type="checkbox" data-field="enabled" ${quietWindow.enabled ? 'checked' : ''}>
+            ${dayNames[day]}
+          </label>
+          <input type="time" class="form-control" data-field="start" value="${quietWindow.start}"
+                 aria-label="Início do silêncio (${dayNames[day]})" ${quietWindow.enabled ? '' : 'disabled'}>
+          <span>até</span>
+          <input type="time" class="form-control" data-field="end" value="${quietWindow.end}"
+                 aria-label="Fim do silêncio (${dayNames[day]})" ${quietWindow.enabled ? '' : 'disabled'}>
+        </div>
+      `;
+    }).join('');
+    schedule.hidden = !quietHours.enabled;
+  }
+
+  updateQuietFromForm() {
+    const days = this.settings.quietHours.days.map(quietWindow => ({ ...quietWindow }));
+
+    Utils.DOM.$$('#quietSchedule .quiet-day').forEach(row => {
+      const day = parseInt(row.dataset.day, 10);
+      const start = row.querySelector('[data-field="start"]').value;
+      const end = row.querySelector('[data-field="end"]').value;
+
+      days[day] = {
+        enabled: row.querySelector('[data-field="enabled"]').checked,
+        start: Utils.Date.parseTime(start) ? start : days[day].start,
+        end: Utils.Date.parseTime(end) ? end : days[day].end
+      };
+    });
+
+    this.updateSettings({
+      quietHours: {
+        enabled: !!Utils.DOM.$('#quietHoursEnabled')?.checked,
+        days,
+        weekendAllDay: !!Utils.DOM.$('#quietWeekendAllDay')?.checked,
+        holidayAllDay: !!Utils.DOM.$('#quietHolidayAllDay')?.checked
+      }
+    });
+    this.renderQuietSettings();
+
+    // Leaving quiet time releases what was held back
+    this.processNotificationQueue();
+  }
+
+
   // Task-related notifications
   async notifyTaskDue(task) {
     const category = Utils.Angola.getCategory(task.category);
     
     await this.sendNotification({
       title: '⏰ Tarefa Vencendo',
-      body: `"${task.title}" vence em breve`,
+      body: `"${task.title}" ${this.describeDue(task)}`,
       icon: '/assets/icons/task-reminder.png',
       tag: `task-due-${task.id}`,
       type: 'task_due',
       requireInteraction: true,
+      actions: this.getTaskActions(),
       data: {
         taskId: task.id,
         page: 'tasks'
@@ -242,6 +642,30 @@ class NotificationManager {
     });
   }
 
+  // "vence hoje às 14:00", "vence amanhã", "vence a 24/10" (same wording as the service worker)
+  describeDue(task) {
+    const dueDay = Utils.Date.parseISODate(task.dueDate);
+    const now = Utils.Date.now();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const days = Math.round((dueDay - today) / (24 * 60 * 60 * 1000));
+
+    let day;
+    if (days === 0) day = 'hoje';
+    else if (days === 1) day = 'amanhã';
+    else day = `a ${Utils.Date.formatDate(dueDay).substr(0, 5)}`;
+
+    return task.dueTime ? `vence ${day} às ${task.dueTime}` : `vence ${day}`;
+  }
+
+  // Handled by the service worker's `notificationclick`
+  getTaskActions() {
+    return [
+      { action: 'complete', title: 'Concluir' },
+      { action: 'snooze-10', title: 'Adiar 10 min' },
+      { action: 'snooze-tomorrow', title: 'Adiar até amanhã' }
+    ];
+  }
+
   async notifyTaskCompleted(task) {
     await this.sendNotification({
       title: '🎉 Tarefa Concluída!',
@@ -265,6 +689,7 @@ class NotificationManager {
       tag: `task-overdue-${task.id}`,
       type: 'task_overdue',
       requireInteraction: true,
+      actions: this.getTaskActions(),
       data: {
         taskId: task.id,
         page: 'tasks'
@@ -273,10 +698,12 @@ class NotificationManager {
   }
 
   // Pomodoro notifications
-  async notifyPomodoroStart() {
+  async notifyPomodoroStart(minutes = 25) {
+    if (!this.settings.pomodoroAlerts) return;
+
     await this.sendNotification({
       title: '🍅 Pomodoro Iniciado',
-      body: 'Sessão de 25 minutos começou. Foque na sua tarefa!',
+      body: `Sessão de ${minutes} minutos começou. Foque na sua tarefa!`,
       icon: '/assets/icons/pomodoro-start.png',
       tag: 'pomodoro-start',
       type: 'pomodoro_start',
@@ -284,10 +711,15 @@ class NotificationManager {
     });
   }
 
-  async notifyPomodoroComplete() {
+  async notifyPomodoroComplete(breakMinutes = 5, longBreak = false) {
+    if (!this.settings.pomodoroAlerts) return;
+
     await this.sendNotification({
+      critical: true,
       title: '🎯 Pomodoro Concluído!',
-      body: 'Parabéns! Faça uma pausa de 5 minutos.',
+      body: longBreak ?
+        `Excelente ciclo! Faça uma pausa longa de ${breakMinutes} minutos.` :
+        `Parabéns! Faça uma pausa de ${breakMinutes} minutos.`,
       icon: '/assets/icons/pomodoro-complete.png',
       tag: 'pomodoro-complete',
       type: 'pomodoro_complete',
@@ -302,7 +734,10 @@ class NotificationManager {
   }
 
   async notifyBreakComplete() {
+    if (!this.settings.pomodoroAlerts) return;
+
     await this.sendNotification({
+      critical: true,
       title: '⏰ Pausa Terminada',
       body: 'Hora de voltar ao trabalho! Pronto para outro Pomodoro?',
       icon: '/assets/icons/break-complete.png',
@@ -315,15 +750,71 @@ class NotificationManager {
   }
 
   // Daily summary
-  async sendDailySummary() {
-    if (!this.settings.dailySummary) return;
+  // Morning digest: what is due today and what is already late
+  async sendMorningAgenda() {
+    try {
+      const tasks = await Storage.getTasks({ status: ['pending', 'in_progress'] });
+      const now = Utils.Date.now();
+
+      const todayTasks = tasks
+        .filter(task => task.dueDate && Utils.Date.isToday(Utils.Date.parseISODate(task.dueDate)))
+        .sort((a, b) => (a.dueTime || '99:99').localeCompare(b.dueTime || '99:99'));
+      const overdueTasks = tasks.filter(task =>
+        task.dueDate && Utils.Date.getDueDateTime(task.dueDate, task.dueTime) < now && !todayTasks.includes(task)
+      );
 
+      let body;
+      if (todayTasks.length === 0 && overdueTasks.length === 0) {
+        body = 'Nada agendado para hoje. Bom dia! ☀️';
+      } else {
+        const lines = [`📋 ${todayTasks.length} tarefa(s) para hoje` +
+          (overdueTasks.length > 0 ? `, 🔴 ${overdueTasks.length} em atraso` : '')];
+
+        todayTasks.slice(0, 5).forEach(task => {
+          lines.push(`• ${task.dueTime ? `${task.dueTime} ` : ''}${task.title}`);
+        });
+        if (todayTasks.length > 5) {
+          lines.push(`+ ${todayTasks.length - 5} mais`);
+        }
+
+        // Oldest first: the ones that have waited longest
+        if (this.settings.escalation.includeInDigest && overdueTasks.length > 0) {
+          overdueTasks
+            .sort((a, b) => a.dueDate.localeCompare(b.dueDate))
+            .slice(0, 5)
+            .forEach(task => {
+              lines.push(`🔴 ${task.title} (${Utils.Date.getRelativeTime(Utils.Date.parseISODate(task.dueDate))})`);
+            });
+          if (overdueTasks.length > 5) {
+            lines.push(`+ ${overdueTasks.length - 5} em atraso`);
+          }
+        }
+        body = lines.join('\n');
+      }
+
+      await this.sendNotification({
+        title: '🌅 Agenda de Hoje',
+        body,
+        icon: '/assets/icons/daily-summary.png',
+        tag: 'morning-agenda',
+        type: 'morning_agenda',
+        data: {
+          page: 'tasks'
+        }
+      });
+    } catch (error) {
+      console.error('Error sending morning agenda:', error);
+    }
+  }
+
+  // Evening digest
+  async sendDailySummary() {
     try {
       const tasks = await Storage.getTasks();
       const today = Utils.Date.now();
       
       const todayTasks = tasks.filter(task => 
-        task.dueDate && Utils.Date.isToday(new Date(task.dueDate))
+        task.dueDate && Utils.Date.isToday(Utils.Date.parseISODate(task.dueDate))
       );
       
       const completedToday = todayTasks.filter(task => 
@@ -331,7 +822,7 @@ class NotificationManager {
       );
       
       const pendingToday = todayTasks.filter(task => 
-        task.status === 'pending'
+        task.status === 'pending' || task.status === 'in_progress'
       );
 
       let body = '';
@@ -347,6 +838,14 @@ class NotificationManager {
         body = 'Você não tem tarefas para hoje. Aproveite o dia! 😊';
       }
 
+      const tomorrowTasks = tasks.filter(task =>
+        task.dueDate && task.status !== 'completed' && task.status !== 'archived' &&
+        Utils.Date.isTomorrow(Utils.Date.parseISODate(task.dueDate))
+      );
+      if (tomorrowTasks.length > 0) {
+        body += ` Amanhã: ${tomorrowTasks.length} tarefa(s).`;
+      }
+
       await this.sendNotification({
         title: '📊 Resumo do Dia',
         body: body.trim(),
@@ -363,53 +862,117 @@ class NotificationManager {
   }
 
   // Reminder service
+  // Reminders are evaluated by the service worker so they keep working with the tab closed;
+  // while the app is open it asks for a check every minute
   startReminderService() {
-    // Check for task reminders every minute
-    setInterval(async () => {
-      if (!this.settings.taskReminders) return;
-      
-      await this.checkTaskReminders();
+    this.registerReminderSync();
+    this.requestReminderCheck();
+
+    setInterval(() => {
+      this.requestReminderCheck();
     }, 60000); // 1 minute
   }
 
+  async requestReminderCheck() {
+    if (!this.settings.taskReminders) return;
+
+    try {
+      const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+      if (registration?.active) {
+        registration.active.postMessage({ type: 'CHECK_REMINDERS' });
+        return;
+      }
+    } catch (error) {
+      console.error('Error requesting reminder check:', error);
+    }
+
+    // No service worker (yet): check from the page
+    await this.checkTaskReminders();
+  }
+
+  // Periodic background sync wakes the service worker while the app is closed (Chromium, installed app)
+  async registerReminderSync() {
+    try {
+      const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+      if (!registration || !('periodicSync' in registration)) return;
+
+      const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+      if (status.state !== 'granted') return;
+
+      await registration.periodicSync.register('check-reminders', {
+        minInterval: 15 * 60 * 1000
+      });
+    } catch (error) {
+      console.warn('Periodic background sync unavailable:', error);
+    }
+  }
+
   async checkTaskReminders() {
     try {
-      const tasks = await Storage.getTasks({ status: 'pending' });
+      const tasks = await Storage.getTasks({ status: ['pending', 'in_progress'] });
       const now = Utils.Date.now();
-      const reminderTime = this.settings.reminderTime * 60 * 1000; // Convert to milliseconds
 
       for (const task of tasks) {
         if (!task.dueDate) continue;
 
-        const dueDate = new Date(task.dueDate);
-        const timeToDue = dueDate.getTime() - now.getTime();
-
-        // Send reminder if task is due within reminder time
-        if (timeToDue > 0 && timeToDue <= reminderTime) {
-          // Check if we already sent a reminder for this task
-          const reminderKey = `reminder_sent_${task.id}`;
-          const reminderSent = Utils.Storage.get(reminderKey);
-          
-          if (!reminderSent) {
-            await this.notifyTaskDue(task);
-            Utils.Storage.set(reminderKey, true);
-            
-            // Clear reminder flag after due date passes
-            setTimeout(() => {
-              Utils.Storage.remove(reminderKey);
-            }, timeToDue + 60000);
+        const dueDate = Utils.Date.getDueDateTime(task.dueDate, task.dueTime);
+
+        // Snoozed from a notification: remind once more when the snooze ends
+        if (task.snoozedUntil && now >= new Date(task.snoozedUntil)) {
+          const deliveryId = `${task.id}:snooze:${task.snoozedUntil}`;
+          if (!await Storage.getReminderDelivery(deliveryId)) {
+            await (now > dueDate ? this.notifyTaskOverdue(task) : this.notifyTaskDue(task));
+            await Storage.recordReminderDelivery({
+              id: deliveryId,
+              taskId: task.id,
+              reminderId: null,
+              kind: 'snooze',
+              dueKey: `${task.dueDate}T${task.dueTime || 'all-day'}`,
+              scheduledAt: task.snoozedUntil
+            });
           }
         }
-        
+        // Deliveries are keyed by due moment, so rescheduling a task re-arms its reminders
+        const dueKey = `${task.dueDate}T${task.dueTime || 'all-day'}`;
+
+        for (const reminder of this.getTaskReminders(task)) {
+          const remindAt = this.getReminderDate(task, reminder);
+          if (!remindAt || now < remindAt) continue;
+
+          // Relative reminders only make sense before the task is due; absolute ones keep for a day
+          const expiresAt = reminder.type === 'absolute' ?
+            new Date(remindAt.getTime() + 24 * 60 * 60 * 1000) :
+            dueDate;
+          if (now >= expiresAt) continue;
+
+          const deliveryId = `${task.id}:${reminder.id}:${dueKey}`;
+          if (await Storage.getReminderDelivery(deliveryId)) continue;
+
+          await this.notifyTaskDue(task);
+          await Storage.recordReminderDelivery({
+            id: deliveryId,
+            taskId: task.id,
+            reminderId: reminder.id,
+            kind: 'reminder',
+            dueKey,
+            scheduledAt: remindAt.toISOString()
+          });
+        }
+
         // Send overdue notification
-        if (timeToDue < 0) {
-          const overdueKey = `overdue_sent_${task.id}`;
-          const overdueSent = Utils.Storage.get(overdueKey);
-          
-          if (!overdueSent) {
-            await this.notifyTaskOverdue(task);
-            Utils.Storage.set(overdueKey, true);
-          }
+        if (now > dueDate) {
+          const notice = this.getOverdueNotice(task, dueDate, now);
+          if (await Storage.getReminderDelivery(notice.id)) continue;
+
+          await this.notifyTaskOverdue(task);
+          await Storage.recordReminderDelivery({
+            id: notice.id,
+            taskId: task.id,
+            reminderId: null,
+            kind: 'overdue',
+            dueKey,
+            scheduledAt: notice.at.toISOString()
+          });
         }
       }
     } catch (error) {
@@ -417,29 +980,169 @@ class NotificationManager {
     }
   }
 
+  // Overdue tasks are notified once; high-priority ones again every morning while they stay late
+  getOverdueNotice(task, dueDate, now) {
+    const baseId = `${task.id}:overdue:${task.dueDate}T${task.dueTime || 'all-day'}`;
+    if (!this.settings.escalation.repeatDaily || task.priority !== 'alta') {
+      return { id: baseId, at: dueDate };
+    }
+
+    const dueDay = new Date(dueDate.getFullYear(), dueDate.getMonth(), dueDate.getDate());
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const morning = Utils.Date.getDueDateTime(Utils.Date.toISODate(now), this.settings.allDayReminderTime);
+    const day = Math.round((today - dueDay) / (24 * 60 * 60 * 1000)) - (now < morning ? 1 : 0);
+
+    if (day < 1) {
+      return { id: baseId, at: dueDate };
+    }
+
+    return {
+      id: `${baseId}:day${day}`,
+      at: Utils.Date.getDueDateTime(Utils.Date.toISODate(Utils.Date.addDays(dueDay, day)), this.settings.allDayReminderTime)
+    };
+  }
+
+  // Tasks without reminders of their own get the global default
+  getTaskReminders(task) {
+    if (Array.isArray(task.reminders) && task.reminders.length > 0) {
+      return task.reminders;
+    }
+
+    return [{
+      id: 'default',
+      type: 'relative',
+      offset: task.dueTime ? this.settings.reminderTime : 0
+    }];
+  }
+
+  // Relative offsets count back from the due time, or from `allDayReminderTime` on the due day
+  getReminderDate(task, reminder) {
+    if (reminder.type === 'absolute') {
+      const [date, time] = reminder.at.split('T');
+      return Utils.Date.getDueDateTime(date, time);
+    }
+
+    if (!task.dueDate) return null;
+
+    const anchor = Utils.Date.getDueDateTime(task.dueDate, task.dueTime || this.settings.allDayReminderTime);
+    return new Date(anchor.getTime() - reminder.offset * 60 * 1000);
+  }
+
+  // "Na hora", "15 minutos antes", "2 horas antes", "1 dia antes", "20/10/2026 às 09:00"
+  describeReminder(reminder) {
+    if (reminder.type === 'absolute') {
+      const [date, time] = reminder.at.split('T');
+      return `${Utils.Date.formatDate(Utils.Date.parseISODate(date))} às ${time}`;
+    }
+
+    const offset = reminder.offset;
+    if (offset === 0) return 'Na hora';
+
+    const units = [
+      [7 * 24 * 60, 'semana', 'semanas'],
+      [24 * 60, 'dia', 'dias'],
+      [60, 'hora', 'horas'],
+      [1, 'minuto', 'minutos']
+    ];
+    const [size, singular, plural] = units.find(([unitSize]) => offset % unitSize === 0);
+    const count = offset / size;
+    return `${count} ${count === 1 ? singular : plural} antes`;
+  }
+
+
   // Daily summary service
   startDailySummaryService() {
-    // Send daily summary at 8 PM
-    const checkDailySummary = () => {
+    this.checkDigests();
+
+    // Check every minute
+    setInterval(() => this.checkDigests(), 60000);
+  }
+
+  // Each digest goes out once per day, at its time or on the first check after it
+  // (the device may have been asleep at the exact minute)
+  async checkDigests() {
+    try {
       const now = Utils.Date.now();
-      const currentTime = Utils.Date.formatTime(now);
-      
-      // Check if it's 20:00 (8 PM)
-      if (currentTime === '20:00') {
-        const todayKey = `daily_summary_${Utils.Date.formatDate(now)}`;
-        const summarySent = Utils.Storage.get(todayKey);
-        
-        if (!summarySent) {
-          this.sendDailySummary();
-          Utils.Storage.set(todayKey, true);
-        }
+      const today = Utils.Date.toISODate(now);
+      const { morning, evening, skipHolidays } = this.settings.digests;
+
+      if (skipHolidays && Utils.Angola.isHoliday(now)) return;
+
+      const digests = [
+        ['morning', morning, () => this.sendMorningAgenda()],
+        ['evening', evening, () => this.sendDailySummary()]
+      ];
+
+      for (const [kind, digest, send] of digests) {
+        if (!digest.enabled || !digest.weekdays.includes(now.getDay())) continue;
+        if (Utils.Date.formatTime(now) < digest.time) continue;
+
+        const deliveryId = `digest:${kind}:${today}`;
+        if (await Storage.getReminderDelivery(deliveryId)) continue;
+
+        // Recorded first, so a second check while this one is sending can't repeat it
+        await Storage.recordReminderDelivery({
+          id: deliveryId,
+          taskId: null,
+          reminderId: kind,
+          kind: 'digest',
+          dueKey: today,
+          scheduledAt: Utils.Date.getDueDateTime(today, digest.time).toISOString()
+        });
+        await send();
       }
+    } catch (error) {
+      console.error('Error checking daily digests:', error);
+    }
+  }
+
+  bindDigestSettings() {
+    Utils.DOM.$$('.digest-setting').forEach(block => {
+      block.addEventListener('change', () => this.updateDigestFromForm(block));
+    });
+
+    const skipHolidays = Utils.DOM.$('#digestSkipHolidays');
+    if (skipHolidays) {
+      skipHolidays.addEventListener('change', () => {
+        this.updateSettings({ digests: { ...this.settings.digests, skipHolidays: skipHolidays.checked } });
+      });
+    }
+  }
+
+  renderDigestSettings() {
+    Utils.DOM.$$('.digest-setting').forEach(block => {
+      const digest = this.settings.digests[block.dataset.digest];
+      if (!digest) return;
+
+      block.querySelector('[data-digest-field="enabled"]').checked = digest.enabled;
+      block.querySelector('[data-digest-field="time"]').value = digest.time;
+      block.querySelectorAll('[data-digest-field="weekdays"] input').forEach(input => {
+        input.checked = digest.weekdays.includes(parseInt(input.value, 10));
+      });
+      block.querySelector('.digest-options').hidden = !digest.enabled;
+    });
+
+    const skipHolidays = Utils.DOM.$('#digestSkipHolidays');
+    if (skipHolidays) skipHolidays.checked = this.settings.digests.skipHolidays;
+  }
+
+  updateDigestFromForm(block) {
+    const kind = block.dataset.digest;
+    const current = this.settings.digests[kind];
+    const time = block.querySelector('[data-digest-field="time"]').value;
+
+    const digest = {
+      enabled: block.querySelector('[data-digest-field="enabled"]').checked,
+      time: Utils.Date.parseTime(time) ? time : current.time,
+      weekdays: [...block.querySelectorAll('[data-digest-field="weekdays"] input:checked')]
+        .map(input => parseInt(input.value, 10))
     };
 
-    // Check every minute
-    setInterval(checkDailySummary, 60000);
+    this.updateSettings({ digests: { ...this.settings.digests, [kind]: digest } });
+    this.renderDigestSettings();
   }
 
+
   // Sound management
   playSound(type) {
     if (!this.settings.sound) return;
@@ -455,11 +1158,21 @@ class NotificationManager {
     }
   }
 
-  // In-app notifications (toasts)
-  showToast(message, type = 'info', duration = 5000) {
+  // In-app notifications (toasts); action is an optional { label, onClick } button
+  showToast(message, type = 'info', duration = 5000, record = true, action = null) {
     const container = Utils.DOM.$('#toastContainer');
     if (!container) return;
 
+    // Focus mode: only errors and warnings interrupt; the rest waits in the notification centre
+    const heldBack = this.isFocusShielded() && type !== 'danger' && type !== 'warning';
+
+    // A toast the user has just seen doesn't count as unread
+    if (record) {
+      this.recordNotification({ type: 'toast', title: message }, { level: type, read: !heldBack });
+    }
+
+    if (heldBack) return;
+
     const toast = Utils.DOM.createElement('div', {
       className: `toast toast-${type}`
     });
@@ -476,9 +1189,17 @@ class NotificationManager {
       <div class="toast-content">
         <div class="toast-message">${Utils.String.sanitizeHtml(message)}</div>
       </div>
+      ${action ? `<button class="btn btn-ghost btn-sm toast-action">${Utils.String.sanitizeHtml(action.label)}</button>` : ''}
       <button class="toast-close" onclick="this.parentElement.remove()">&times;</button>
     `;
 
+    if (action) {
+      toast.querySelector('.toast-action').addEventListener('click', () => {
+        toast.remove();
+        action.onClick();
+      });
+    }
+
     container.appendChild(toast);
 
     // Auto remove
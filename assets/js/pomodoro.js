@@ -0,0 +1,516 @@
+/**
+ * List Kamba - Pomodoro Timer
+ * Work and break sessions timed against the clock so reloads and sleeping tabs don't drift.
+ * Focus sessions can be linked to a task, which accumulates timeSpent and pomodoroCount.
+ */
+
+class PomodoroManager {
+  constructor() {
+    this.defaults = {
+      workMinutes: 25,
+      shortBreakMinutes: 5,
+      longBreakMinutes: 15,
+      longBreakInterval: 4 // work sessions before a long break
+    };
+
+    this.phases = {
+      work: { label: 'Foco', icon: '🍅', setting: 'workMinutes' },
+      shortBreak: { label: 'Pausa curta', icon: '☕', setting: 'shortBreakMinutes' },
+      longBreak: { label: 'Pausa longa', icon: '🌴', setting: 'longBreakMinutes' }
+    };
+
+    this.settings = { ...this.defaults };
+    this.state = this.createState('work', 0);
+    this.tasks = []; // open tasks offered in the picker
+    this.ticker = null;
+
+    this.init();
+  }
+
+  async init() {
+    await this.loadSettings();
+    await this.loadState();
+    this.bindEvents();
+    await this.loadTasks();
+
+    // A session that ended while the page was closed is completed at its end time
+    this.endInterruption();
+    this.tick();
+    if (this.state.status === 'running') this.startTicker();
+    this.render();
+  }
+
+  async loadSettings() {
+    try {
+      const saved = await Storage.getSetting('pomodoro', {});
+      this.settings = { ...this.defaults };
+
+      Object.keys(this.defaults).forEach(key => {
+        const value = parseInt(saved?.[key], 10);
+        if (value > 0) this.settings[key] = value;
+      });
+    } catch (error) {
+      console.error('Error loading pomodoro settings:', error);
+    }
+  }
+
+  async saveSettings() {
+    try {
+      await Storage.setSetting('pomodoro', this.settings);
+    } catch (error) {
+      console.error('Error saving pomodoro settings:', error);
+    }
+  }
+
+  async loadState() {
+    try {
+      const saved = await Storage.getSetting('pomodoroState', null);
+      if (saved && this.phases[saved.phase]) {
+        this.state = { ...this.createState(saved.phase, saved.completedWork || 0), ...saved };
+      } else {
+        this.state = this.createState('work', 0);
+      }
+    } catch (error) {
+      console.error('Error loading pomodoro state:', error);
+    }
+  }
+
+  async saveState() {
+    try {
+      await Storage.setSetting('pomodoroState', this.state);
+    } catch (error) {
+      console.error('Error saving pomodoro state:', error);
+    }
+  }
+
+  // endsAt is a timestamp while running; remainingMs holds the time left otherwise
+  createState(phase, completedWork, taskId = null) {
+    const durationMs = this.getPhaseMinutes(phase) * 60 * 1000;
+
+    return {
+      phase,
+      status: 'idle', // idle | running | paused
+      durationMs,
+      remainingMs: durationMs,
+      endsAt: null,
+      startedAt: null,
+      completedWork,
+      taskId,
+      interruptions: 0, // times the page was left during a running focus session
+      awayMs: 0,
+      leftAt: null
+    };
+  }
+
+  getPhaseMinutes(phase) {
+    return this.settings[this.phases[phase].setting];
+  }
+
+  getRemaining() {
+    if (this.state.status === 'running') {
+      return Math.max(0, this.state.endsAt - Date.now());
+    }
+    return this.state.remainingMs;
+  }
+
+  isStarted() {
+    return this.state.status !== 'idle' || this.state.remainingMs < this.state.durationMs;
+  }
+
+  bindEvents() {
+    Utils.DOM.$('#pomodoroToggle')?.addEventListener('click', () => this.toggle());
+    Utils.DOM.$('#pomodoroSkip')?.addEventListener('click', () => this.skip());
+    Utils.DOM.$('#pomodoroReset')?.addEventListener('click', () => this.reset());
+
+    Utils.DOM.$('#pomodoroTask')?.addEventListener('change', (e) => this.setTask(e.target.value || null));
+
+    Utils.DOM.$$('[data-pomodoro-phase]').forEach(button => {
+      button.addEventListener('click', () => this.selectPhase(button.dataset.pomodoroPhase));
+    });
+
+    Utils.DOM.$$('[data-pomodoro-setting]').forEach(input => {
+      input.addEventListener('change', () => {
+        this.updateSetting(input.dataset.pomodoroSetting, input.value);
+      });
+    });
+
+    // Leaving the page mid-focus is an interruption. Intervals are throttled in
+    // background tabs, so catch up as soon as the page is visible again.
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        this.startInterruption();
+      } else {
+        this.endInterruption();
+        this.tick();
+        this.render();
+      }
+    });
+  }
+
+  async loadTasks() {
+    try {
+      this.tasks = await Storage.getTasks({ status: ['pending', 'in_progress'] });
+
+      // Keep the linked task listed even if it was completed mid-session
+      if (this.state.taskId && !this.tasks.some(task => task.id === this.state.taskId)) {
+        const linked = await Storage.getTask(this.state.taskId);
+        if (linked && !linked.deletedAt) {
+          this.tasks.push(linked);
+        } else {
+          this.state.taskId = null;
+          await this.saveState();
+        }
+      }
+
+      this.renderTaskPicker();
+    } catch (error) {
+      console.error('Error loading pomodoro tasks:', error);
+    }
+  }
+
+  getTask() {
+    return this.tasks.find(task => task.id === this.state.taskId) || null;
+  }
+
+  async setTask(taskId) {
+    if (this.state.status === 'running') return;
+
+    this.state.taskId = taskId;
+    this.renderTaskPicker();
+    await this.saveState();
+  }
+
+  startTicker() {
+    this.stopTicker();
+    this.ticker = setInterval(() => this.tick(), 1000);
+  }
+
+  stopTicker() {
+    if (this.ticker) {
+      clearInterval(this.ticker);
+      this.ticker = null;
+    }
+  }
+
+  tick() {
+    if (this.state.status !== 'running') return;
+
+    if (this.getRemaining() <= 0) {
+      this.completePhase();
+      return;
+    }
+
+    this.renderClock();
+  }
+
+  toggle() {
+    if (this.state.status === 'running') {
+      this.pause();
+    } else {
+      this.start();
+    }
+  }
+
+  async start() {
+    if (this.state.status === 'running') return;
+
+    const isFirstStart = !this.isStarted();
+    if (isFirstStart) {
+      this.state.startedAt = new Date().toISOString();
+    }
+
+    this.state.status = 'running';
+    this.state.endsAt = Date.now() + this.state.remainingMs;
+
+    this.startTicker();
+    this.render();
+    await this.saveState();
+
+    if (isFirstStart && this.state.phase === 'work') {
+      // The focus session takes over from the task's manual tracker so time isn't counted twice
+      if (this.getTask()?.timerStartedAt) {
+        await Storage.stopTimeTracking(this.state.taskId);
+        await this.refreshTasks();
+      }
+
+      // Focus mode already fills the screen with the session
+      if (window.Notifications && !window.FocusMode?.active) {
+        await Notifications.notifyPomodoroStart(this.getPhaseMinutes('work'));
+      }
+    }
+  }
+
+  async pause() {
+    if (this.state.status !== 'running') return;
+
+    this.state.remainingMs = this.getRemaining();
+    this.state.endsAt = null;
+    this.state.status = 'paused';
+
+    this.stopTicker();
+    this.render();
+    await this.saveState();
+  }
+
+  async skip() {
+    if (this.isStarted()) {
+      await this.recordSession('skipped');
+    }
+
+    // A skipped work session doesn't count towards the long break
+    this.advance(this.state.phase === 'work' ? 'shortBreak' : 'work');
+    await this.saveState();
+  }
+
+  async reset() {
+    if (this.state.status === 'running' && !confirm('Reiniciar o ciclo Pomodoro? A sessão atual será perdida.')) {
+      return;
+    }
+
+    if (this.isStarted()) {
+      await this.recordSession('reset');
+    }
+
+    this.stopTicker();
+    this.state = this.createState('work', 0, this.state.taskId);
+    this.render();
+    await this.saveState();
+  }
+
+  async startInterruption() {
+    if (this.state.status !== 'running' || this.state.phase !== 'work' || this.state.leftAt) return;
+
+    this.state.interruptions++;
+    this.state.leftAt = Date.now();
+    await this.saveState();
+
+    await Storage.trackEvent('pomodoro_interruption', {
+      taskId: this.state.taskId,
+      startedAt: this.state.startedAt,
+      remainingMinutes: Math.round(this.getRemaining() / 6000) / 10
+    });
+  }
+
+  // Time away only counts until the session would have ended
+  endInterruption() {
+    if (!this.state.leftAt) return;
+
+    const returnedAt = Math.min(Date.now(), this.state.endsAt || Date.now());
+    this.state.awayMs += Math.max(0, returnedAt - this.state.leftAt);
+    this.state.leftAt = null;
+    this.saveState();
+  }
+
+  async selectPhase(phase) {
+    if (!this.phases[phase] || phase === this.state.phase || this.state.status === 'running') return;
+
+    if (this.isStarted()) {
+      await this.recordSession('skipped');
+    }
+
+    this.advance(phase);
+    await this.saveState();
+  }
+
+  async completePhase() {
+    const { phase } = this.state;
+    // When the page was asleep the session ended at endsAt, not now
+    const endedAt = new Date(this.state.endsAt || Date.now());
+
+    this.state.status = 'idle';
+    this.state.remainingMs = 0;
+    this.state.endsAt = null;
+    this.stopTicker();
+
+    await this.recordSession('completed', endedAt);
+
+    if (phase === 'work') {
+      this.state.completedWork++;
+      const next = this.state.completedWork % this.settings.longBreakInterval === 0 ? 'longBreak' : 'shortBreak';
+      this.advance(next);
+
+      if (window.Notifications) {
+        await Notifications.notifyPomodoroComplete(this.getPhaseMinutes(next), next === 'longBreak');
+      }
+    } else {
+      // A new cycle starts after the long break
+      if (phase === 'longBreak') this.state.completedWork = 0;
+      this.advance('work');
+
+      if (window.Notifications) {
+        await Notifications.notifyBreakComplete();
+      }
+    }
+
+    await this.saveState();
+  }
+
+  advance(phase) {
+    this.stopTicker();
+    this.state = this.createState(phase, this.state.completedWork, this.state.taskId);
+    this.render();
+  }
+
+  async recordSession(outcome, endedAt = new Date()) {
+    const { phase, taskId } = this.state;
+    const actualMs = this.state.durationMs - (outcome === 'completed' ? 0 : this.getRemaining());
+    const actualMinutes = Math.round(actualMs / 6000) / 10;
+
+    await Storage.trackEvent('pomodoro_session', {
+      phase,
+      outcome, // completed | skipped | reset
+      plannedMinutes: Math.round(this.state.durationMs / 60000),
+      actualMinutes,
+      taskId,
+      interruptions: this.state.interruptions,
+      awayMinutes: Math.round(this.state.awayMs / 6000) / 10,
+      startedAt: this.state.startedAt,
+      endedAt: endedAt.toISOString()
+    });
+
+    // Focus time counts towards the linked task, even when the session is cut short
+    if (phase === 'work' && taskId && actualMinutes > 0) {
+      await Storage.addTimeSpent(taskId, actualMinutes, outcome === 'completed' ? 1 : 0, 'pomodoro');
+      await this.refreshTasks();
+    }
+  }
+
+  async refreshTasks() {
+    await this.loadTasks();
+    if (window.Tasks) await Tasks.loadTasks();
+  }
+
+  async updateSetting(key, value) {
+    if (!(key in this.defaults)) return;
+
+    const parsed = parseInt(value, 10);
+    const max = key === 'longBreakInterval' ? 12 : 180;
+    if (!(parsed >= 1 && parsed <= max)) {
+      showToast(`Indique um valor entre 1 e ${max}`, 'warning');
+      this.renderSettings();
+      return;
+    }
+
+    this.settings[key] = parsed;
+    await this.saveSettings();
+
+    // An untouched timer picks up the new length straight away
+    if (!this.isStarted()) {
+      this.state = this.createState(this.state.phase, this.state.completedWork, this.state.taskId);
+      await this.saveState();
+    }
+
+    this.render();
+  }
+
+  formatClock(ms) {
+    const totalSeconds = Math.ceil(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+  }
+
+  render() {
+    this.renderClock();
+    this.renderControls();
+    this.renderTaskPicker();
+    this.renderSettings();
+  }
+
+  renderClock() {
+    const remaining = this.getRemaining();
+
+    const clock = Utils.DOM.$('#pomodoroClock');
+    if (clock) clock.textContent = this.formatClock(remaining);
+
+    const progress = Utils.DOM.$('#pomodoroProgress');
+    if (progress) {
+      const done = this.state.durationMs ? 1 - remaining / this.state.durationMs : 0;
+      progress.style.width = `${Math.min(100, Math.max(0, done * 100))}%`;
+    }
+
+    document.dispatchEvent(new CustomEvent('pomodoroUpdated'));
+  }
+
+  renderControls() {
+    const { phase, status, completedWork } = this.state;
+    const info = this.phases[phase];
+
+    const timer = Utils.DOM.$('.pomodoro-timer');
+    if (timer) {
+      timer.dataset.phase = phase;
+      timer.dataset.status = status;
+    }
+
+    Utils.DOM.$$('[data-pomodoro-phase]').forEach(button => {
+      const active = button.dataset.pomodoroPhase === phase;
+      button.classList.toggle('active', active);
+      button.setAttribute('aria-pressed', String(active));
+      button.disabled = status === 'running' && !active;
+    });
+
+    const label = Utils.DOM.$('#pomodoroPhaseLabel');
+    if (label) label.textContent = `${info.icon} ${info.label}`;
+
+    const cycle = Utils.DOM.$('#pomodoroCycle');
+    if (cycle) {
+      const interval = this.settings.longBreakInterval;
+      cycle.textContent = phase === 'work' ?
+        `Pomodoro ${(completedWork % interval) + 1} de ${interval}` :
+        `${completedWork % interval || interval} de ${interval} pomodoros concluídos`;
+    }
+
+    const toggle = Utils.DOM.$('#pomodoroToggle');
+    if (toggle) {
+      toggle.textContent = status === 'running' ? '⏸ Pausar' : status === 'paused' ? '▶ Continuar' : '▶ Iniciar';
+    }
+
+    const reset = Utils.DOM.$('#pomodoroReset');
+    if (reset) reset.disabled = !this.isStarted() && phase === 'work' && completedWork === 0;
+  }
+
+  renderTaskPicker() {
+    const select = Utils.DOM.$('#pomodoroTask');
+    if (select) {
+      select.innerHTML = `
+        <option value="">Sem tarefa</option>
+        ${this.tasks.map(task => `
+          <option value="${task.id}">${Utils.String.sanitizeHtml(task.title)}</option>
+        `).join('')}
+      `;
+      select.value = this.state.taskId || '';
+      select.disabled = this.state.status === 'running';
+    }
+
+    const info = Utils.DOM.$('#pomodoroTaskInfo');
+    if (!info) return;
+
+    const task = this.getTask();
+    if (!task || !window.Tasks) {
+      info.hidden = true;
+      return;
+    }
+
+    const spent = Tasks.getTimeSpent(task);
+    const over = task.estimate && spent > task.estimate;
+    info.hidden = false;
+    info.classList.toggle('over', !!over);
+    info.textContent = [
+      `Gasto: ${Tasks.formatTimeSpent(spent)}`,
+      task.estimate ? `Estimativa: ${Utils.Date.formatDuration(task.estimate)}` : null,
+      task.pomodoroCount ? `🍅 ${task.pomodoroCount}` : null
+    ].filter(Boolean).join(' · ');
+  }
+
+  renderSettings() {
+    Utils.DOM.$$('[data-pomodoro-setting]').forEach(input => {
+      input.value = this.settings[input.dataset.pomodoroSetting];
+    });
+  }
+}
+
+// Initialize pomodoro timer
+window.Pomodoro = new PomodoroManager();
+
+// Export for other modules
+window.PomodoroManager = PomodoroManager;
@@ -0,0 +1,273 @@
+/**
+ * List Kamba - Projects Management
+ * Handles task lists (projects), the project selector and per-project stats
+ */
+
+class ProjectManager {
+  constructor() {
+    this.projects = [];
+    this.currentProjectId = 'all';
+    this.showArchived = false;
+
+    this.loadProjects();
+  }
+
+  async loadProjects() {
+    try {
+      this.projects = await Storage.getProjects({ includeArchived: true });
+      this.render();
+    } catch (error) {
+      console.error('Error loading projects:', error);
+    }
+  }
+
+  getProject(id) {
+    return this.projects.find(project => project.id === id) || null;
+  }
+
+  getActiveProjects() {
+    return this.projects.filter(project => !project.archived);
+  }
+
+  // Count tasks per project ('none' = without project)
+  getTaskCounts(tasks, predicate = () => true) {
+    const counts = { all: 0, none: 0 };
+
+    tasks.filter(predicate).forEach(task => {
+      const key = task.projectId && this.getProject(task.projectId) ? task.projectId : 'none';
+      counts[key] = (counts[key] || 0) + 1;
+      counts.all++;
+    });
+
+    return counts;
+  }
+
+  render() {
+    this.renderSelector();
+    this.renderTaskFormOptions();
+    this.renderDashboardStats();
+  }
+
+  renderSelector() {
+    const container = Utils.DOM.$('#projectSelector');
+    if (!container) return;
+
+    const tasks = window.Tasks ? Tasks.currentTasks : [];
+    const counts = this.getTaskCounts(tasks, task => task.status === 'pending' || task.status === 'in_progress');
+    const visibleProjects = this.projects.filter(project => this.showArchived || !project.archived);
+    const hasArchived = this.projects.some(project => project.archived);
+
+    const chip = (id, icon, name, color = '') => `
+      <button type="button" class="project-chip ${this.currentProjectId === id ? 'active' : ''}"
+              onclick="Projects.selectProject('${id}')" ${color ? `style="--project-color: ${color}"` : ''}>
+        <span class="project-icon">${Utils.String.sanitizeHtml(icon)}</span>
+        <span class="project-name">${Utils.String.sanitizeHtml(name)}</span>
+        <span class="project-count">${counts[id] || 0}</span>
+      </button>
+    `;
+
+    container.innerHTML = `
+      ${chip('all', '📚', 'Todas')}
+      ${chip('none', '📥', 'Sem projeto')}
+      ${visibleProjects.map(project => chip(project.id, project.icon, project.name, project.color)).join('')}
+      <button type="button" class="btn btn-ghost btn-sm" onclick="Projects.showProjectModal()" title="Novo projeto">
+        ➕ Projeto
+      </button>
+      ${this.currentProjectId !== 'all' && this.currentProjectId !== 'none' ? `
+        <button type="button" class="btn btn-ghost btn-sm" onclick="Projects.showProjectModal('${this.currentProjectId}')"
+                title="Editar projeto">✏️</button>
+      ` : ''}
+      ${hasArchived ? `
+        <button type="button" class="btn btn-ghost btn-sm" onclick="Projects.toggleArchived()">
+          ${this.showArchived ? 'Ocultar arquivados' : 'Mostrar arquivados'}
+        </button>
+      ` : ''}
+    `;
+  }
+
+  renderTaskFormOptions() {
+    const select = Utils.DOM.$('#taskProject');
+    if (!select) return;
+
+    const currentValue = select.value;
+    select.innerHTML = `
+      <option value="">Sem projeto</option>
+      ${this.projects.map(project => `
+        <option value="${project.id}">
+          ${Utils.String.sanitizeHtml(project.icon)} ${Utils.String.sanitizeHtml(project.name)}${project.archived ? ' (arquivado)' : ''}
+        </option>
+      `).join('')}
+    `;
+    select.value = currentValue;
+  }
+
+  // Per-project counts on the dashboard, next to the today/pending stats
+  renderDashboardStats() {
+    const container = Utils.DOM.$('#projectStats');
+    if (!container) return;
+
+    const projects = this.getActiveProjects();
+    if (projects.length === 0) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const tasks = window.Tasks ? Tasks.currentTasks : [];
+    const pending = this.getTaskCounts(tasks, task => task.status === 'pending' || task.status === 'in_progress');
+    const today = this.getTaskCounts(tasks, task =>
+      task.dueDate && Utils.Date.isToday(Utils.Date.parseISODate(task.dueDate))
+    );
+
+    container.innerHTML = `
+      <h4 class="project-stats-title">Por projeto</h4>
+      ${projects.map(project => `
+        <button type="button" class="project-stat" style="--project-color: ${project.color}"
+                onclick="Projects.openProject('${project.id}')">
+          <span class="project-icon">${Utils.String.sanitizeHtml(project.icon)}</span>
+          <span class="project-name">${Utils.String.sanitizeHtml(project.name)}</span>
+          <span class="project-stat-numbers">
+            <span title="Tarefas de hoje">📅 ${today[project.id] || 0}</span>
+            <span title="Tarefas pendentes">📋 ${pending[project.id] || 0}</span>
+          </span>
+        </button>
+      `).join('')}
+    `;
+  }
+
+  selectProject(projectId) {
+    this.currentProjectId = projectId;
+    this.renderSelector();
+
+    if (window.Tasks) {
+      Tasks.renderTasks();
+    }
+  }
+
+  openProject(projectId) {
+    this.currentProjectId = projectId;
+    window.dispatchEvent(new CustomEvent('navigateTo', {
+      detail: { page: 'tasks' }
+    }));
+  }
+
+  toggleArchived() {
+    this.showArchived = !this.showArchived;
+
+    // Leave an archived project when hiding archived ones
+    const current = this.getProject(this.currentProjectId);
+    if (!this.showArchived && current?.archived) {
+      this.currentProjectId = 'all';
+      if (window.Tasks) Tasks.renderTasks();
+    }
+
+    this.renderSelector();
+  }
+
+  showProjectModal(projectId = null) {
+    const project = projectId ? this.getProject(projectId) : null;
+    const colors = ['#2F5F8F', '#4A90E2', '#27AE60', '#F39C12', '#CE1126', '#9B59B6', '#1ABC9C', '#95A5A6'];
+
+    App.showModal(project ? 'Editar Projeto' : 'Novo Projeto', `
+      <form id="projectForm" onsubmit="event.preventDefault(); Projects.handleProjectSubmit(this)">
+        <input type="hidden" name="id" value="${project ? project.id : ''}">
+        <div class="form-group">
+          <label for="projectName" class="form-label">Nome *</label>
+          <input type="text" id="projectName" name="name" class="form-control" required maxlength="50"
+                 value="${project ? Utils.String.escapeAttribute(project.name) : ''}"
+                 placeholder="Ex.: Comissão da igreja">
+        </div>
+        <div class="form-group project-form-row">
+          <div>
+            <label for="projectIcon" class="form-label">Ícone</label>
+            <input type="text" id="projectIcon" name="icon" class="form-control" maxlength="4"
+                   value="${project ? Utils.String.escapeAttribute(project.icon) : '📁'}">
+          </div>
+          <div>
+            <label for="projectColor" class="form-label">Cor</label>
+            <input type="color" id="projectColor" name="color" class="form-control" list="projectColors"
+                   value="${project ? project.color : colors[0]}">
+            <datalist id="projectColors">
+              ${colors.map(color => `<option value="${color}"></option>`).join('')}
+            </datalist>
+          </div>
+        </div>
+        ${project ? `
+          <div class="form-check">
+            <input type="checkbox" id="projectArchived" name="archived" class="form-check-input" ${project.archived ? 'checked' : ''}>
+            <label for="projectArchived" class="form-check-label">Arquivado (oculto da lista de projetos)</label>
+          </div>
+        ` : ''}
+        <div class="modal-actions">
+          ${project ? `
+            <button type="button" class="btn btn-danger" onclick="Projects.deleteProject('${project.id}')">Excluir</button>
+          ` : ''}
+          <button type="submit" class="btn btn-primary">Salvar Projeto</button>
+        </div>
+      </form>
+    `);
+
+    setTimeout(() => Utils.DOM.$('#projectName')?.focus(), 100);
+  }
+
+  async handleProjectSubmit(form) {
+    const name = form.elements.name.value.trim();
+    if (!name) {
+      form.elements.name.focus();
+      return;
+    }
+
+    try {
+      const existing = form.elements.id.value ? this.getProject(form.elements.id.value) : null;
+      const project = await Storage.saveProject({
+        ...existing,
+        name,
+        icon: form.elements.icon.value,
+        color: form.elements.color.value,
+        archived: form.elements.archived ? form.elements.archived.checked : false
+      });
+
+      Utils.DOM.$('#globalModal')?.classList.remove('show');
+
+      if (!existing) {
+        this.currentProjectId = project.id;
+      }
+
+      await this.loadProjects();
+      if (window.Tasks) Tasks.renderTasks();
+
+      showToast(existing ? 'Projeto atualizado' : 'Projeto criado', 'success');
+    } catch (error) {
+      console.error('Error saving project:', error);
+      showToast('Erro ao salvar projeto', 'danger');
+    }
+  }
+
+  async deleteProject(projectId) {
+    const project = this.getProject(projectId);
+    if (!project) return;
+
+    if (!confirm(`Excluir o projeto "${project.name}"? As tarefas ficam sem projeto.`)) {
+      return;
+    }
+
+    const deleted = await Storage.deleteProject(projectId);
+    if (!deleted) {
+      showToast('Erro ao excluir projeto', 'danger');
+      return;
+    }
+
+    Utils.DOM.$('#globalModal')?.classList.remove('show');
+    this.currentProjectId = 'all';
+
+    await this.loadProjects();
+    if (window.Tasks) await Tasks.loadTasks();
+
+    showToast('Projeto excluído', 'success');
+  }
+}
+
+// Initialize project manager
+window.Projects = new ProjectManager();
+
+// Export for other modules
+window.ProjectManager = ProjectManager;
@@ -0,0 +1,204 @@
+/**
+ * List Kamba - Quick Add Parser
+ * Turns Portuguese phrases like "Pagar luz amanhã às 9h #financas !alta" into task fields
+ */
+
+// parse() returns:
+// {
+//   title: 'Pagar luz',
+//   dueDate: '2026-10-20',    // YYYY-MM-DD or null
+//   dueTime: '09:00',         // HH:MM or null
+//   category: 'financas',     // category id or null
+//   priority: 'alta',         // alta | media | baixa or null
+//   tags: [],                 // '#words' that aren't categories
+//   matches: [{ type, text }] // recognised pieces, in the order they were found
+// }
+const QuickAddUtils = {
+  weekdays: {
+    domingo: 0, segunda: 1, terca: 2, quarta: 3, quinta: 4, sexta: 5, sabado: 6
+  },
+
+  priorities: {
+    alta: 'alta', urgente: 'alta', media: 'media', baixa: 'baixa'
+  },
+
+  // Hours used by "de manhã", "à tarde" and "à noite" without an explicit time
+  periods: {
+    manha: '09:00', tarde: '15:00', noite: '20:00'
+  },
+
+  key(word) {
+    return StringUtils.removeAccents(word.toLowerCase());
+  },
+
+  parse(text, now = DateUtils.now()) {
+    const result = {
+      title: '',
+      dueDate: null,
+      dueTime: null,
+      category: null,
+      priority: null,
+      tags: [],
+      matches: []
+    };
+
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    let rest = ` ${text || ''} `;
+
+    // Every rule eats a leading space; the lookahead keeps the next separator for the following token
+    const take = (type, regex, handler) => {
+      rest = rest.replace(regex, (match, ...groups) => {
+        const applied = handler(...groups);
+        if (applied === false) return match;
+
+        result.matches.push({ type, text: match.trim() });
+        return ' ';
+      });
+    };
+
+    const setDate = (date) => {
+      if (result.dueDate || !date) return false;
+      result.dueDate = DateUtils.toISODate(date);
+    };
+
+    const setTime = (hours, minutes = 0) => {
+      if (result.dueTime || hours > 23 || minutes > 59) return false;
+      result.dueTime = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    };
+
+    const end = '(?=[\\s,.;!?]|$)';
+    const lead = '\\s(?:(?:para|at[eé])\\s+)?';
+
+    // Dates
+    take('date', new RegExp(`${lead}depois\\s+de\\s+amanh[aã]${end}`, 'giu'), () => setDate(DateUtils.addDays(today, 2)));
+    take('date', new RegExp(`${lead}amanh[aã]${end}`, 'giu'), () => setDate(DateUtils.addDays(today, 1)));
+    take('date', new RegExp(`${lead}hoje${end}`, 'giu'), () => setDate(today));
+
+    take('date', new RegExp(`${lead}(?:(?:na\\s+)?pr[oó]xima\\s+semana|(?:na\\s+)?semana\\s+que\\s+vem)${end}`, 'giu'), () => {
+      // Monday of next week
+      const daysToMonday = ((8 - today.getDay()) % 7) || 7;
+      return setDate(DateUtils.addDays(today, daysToMonday));
+    });
+
+    take('date', new RegExp(
+      `${lead}(?:(n[ao]|nest[ae]|pr[oó]xim[ao])\\s+)?(segunda|ter[cç]a|quarta|quinta|sexta|s[aá]bado|domingo)(?:-feira)?${end}`,
+      'giu'
+    ), (prefix, day) => {
+      // Plain weekday = the next one including today; "próxima sexta" always skips today
+      const weekday = this.weekdays[this.key(day)];
+      const skipToday = prefix && this.key(prefix).startsWith('proxim');
+      let offset = (weekday - today.getDay() + 7) % 7;
+      if (offset === 0 && skipToday) offset = 7;
+      return setDate(DateUtils.addDays(today, offset));
+    });
+
+    take('date', new RegExp(`${lead}(?:em|daqui\\s+a)\\s+(\\d{1,3})\\s+dias?${end}`, 'giu'), (days) =>
+      setDate(DateUtils.addDays(today, parseInt(days, 10)))
+    );
+
+    take('date', new RegExp(`${lead}(?:n?o\\s+)?dia\\s+(\\d{1,2})${end}`, 'giu'), (day) => {
+      // This month, or next month once the day has passed
+      const dayOfMonth = parseInt(day, 10);
+      let year = today.getFullYear();
+      let month = today.getMonth();
+      if (dayOfMonth < today.getDate()) {
+        month++;
+        if (month > 11) {
+          month = 0;
+          year++;
+        }
+      }
+      if (dayOfMonth < 1 || dayOfMonth > DateUtils.daysInMonth(year, month)) return false;
+      return setDate(new Date(year, month, dayOfMonth));
+    });
+
+    take('date', new RegExp(`${lead}(\\d{1,2})\\/(\\d{1,2})(?:\\/(\\d{2}|\\d{4}))?${end}`, 'giu'), (day, month, year) => {
+      const dayOfMonth = parseInt(day, 10);
+      const monthIndex = parseInt(month, 10) - 1;
+      let fullYear = year ? parseInt(year, 10) : today.getFullYear();
+      if (year && year.length === 2) fullYear += 2000;
+
+      if (monthIndex < 0 || monthIndex > 11 || dayOfMonth < 1 || dayOfMonth > DateUtils.daysInMonth(fullYear, monthIndex)) {
+        return false;
+      }
+
+      let date = new Date(fullYear, monthIndex, dayOfMonth);
+      // Without a year, a date already past means next year
+      if (!year && date < today) {
+        date = new Date(fullYear + 1, monthIndex, dayOfMonth);
+      }
+      return setDate(date);
+    });
+
+    // Times: "às 9h", "9h30", "14:00", "às 3 da tarde", "ao meio-dia"
+    take('time', new RegExp(`\\s(?:ao\\s+)?meio-dia${end}`, 'giu'), () => setTime(12));
+
+    take('time', new RegExp(
+      `\\s(?:[aà]s?\\s+)?(\\d{1,2})(?::(\\d{2})|h(\\d{2})?)(?:min)?(?:\\s+d[ao]\\s+(manh[aã]|tarde|noite))?${end}`,
+      'giu'
+    ), (hours, minutes, hMinutes, period) => this.applyTime(setTime, hours, minutes || hMinutes, period));
+
+    take('time', new RegExp(`\\s[aà]s?\\s+(\\d{1,2})(?:\\s+d[ao]\\s+(manh[aã]|tarde|noite))?${end}`, 'giu'), (hours, period) =>
+      this.applyTime(setTime, hours, 0, period)
+    );
+
+    take('time', new RegExp(`\\s(?:de|[aà]|pela)\\s+(manh[aã]|tarde|noite)${end}`, 'giu'), (period) => {
+      const [hours, minutes] = this.periods[this.key(period)].split(':');
+      return setTime(parseInt(hours, 10), parseInt(minutes, 10));
+    });
+
+    // Priority: "!alta", "!média", "!baixa", "!urgente"
+    take('priority', new RegExp(`\\s!(alta|m[eé]dia|baixa|urgente)${end}`, 'giu'), (word) => {
+      if (result.priority) return false;
+      result.priority = this.priorities[this.key(word)];
+    });
+
+    // "@categoria" or "#categoria"; other "#words" become tags
+    take('category', new RegExp(`\\s([@#])([\\p{L}\\p{N}_-]+)${end}`, 'gu'), (sigil, word) => {
+      const category = this.findCategory(word);
+      if (category && !result.category) {
+        result.category = category.id;
+        return;
+      }
+
+      const tag = sigil === '#' ? StringUtils.normalizeTag(word) : '';
+      if (!tag) return false;
+      if (!result.tags.includes(tag)) result.tags.push(tag);
+    });
+
+    // A time without a date means today, or tomorrow once that time has passed
+    if (result.dueTime && !result.dueDate) {
+      const nowTime = DateUtils.formatTime(now);
+      result.dueDate = DateUtils.toISODate(result.dueTime > nowTime ? today : DateUtils.addDays(today, 1));
+    }
+
+    result.title = rest.replace(/\s+/g, ' ').trim();
+
+    return result;
+  },
+
+  // "3 da tarde" = 15:00, "12 da noite" = 00:00
+  applyTime(setTime, hours, minutes, period) {
+    let hour = parseInt(hours, 10);
+    const minute = parseInt(minutes || 0, 10);
+    const periodKey = period ? this.key(period) : null;
+
+    if ((periodKey === 'tarde' || periodKey === 'noite') && hour < 12) {
+      hour += 12;
+    } else if (periodKey === 'noite' && hour === 12) {
+      hour = 0;
+    }
+
+    return setTime(hour, minute);
+  },
+
+  findCategory(word) {
+    const key = this.key(word);
+    return AngolaUtils.taskCategories.find(category =>
+      category.id === key || this.key(category.name) === key
+    ) || null;
+  }
+};
+
+// Register with the shared utilities
+window.Utils.QuickAdd = QuickAddUtils;
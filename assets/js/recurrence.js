@@ -0,0 +1,199 @@
+/**
+ * List Kamba - Recurrence Engine
+ * RRULE-style repetition rules for recurring tasks
+ */
+
+// A rule looks like:
+// {
+//   freq: 'daily' | 'weekly' | 'monthly' | 'yearly',
+//   interval: 1,              // every N units
+//   byWeekday: [1, 3],        // weekly: weekdays (0 = Sunday)
+//   monthlyMode: 'day',       // monthly: 'day' (day of month) or 'weekday' (e.g. last Friday)
+//   byMonthDay: 15,           // monthly 'day' mode and yearly (so 29 Feb comes back after 28 Feb)
+//   bySetPos: -1,             // monthly 'weekday' mode: 1..4 or -1 for last
+//   until: '2026-12-31',      // optional end date
+//   count: 10,                // optional number of occurrences
+//   occurrence: 1             // index of the occurrence this task represents
+// }
+const RecurrenceUtils = {
+  frequencies: ['daily', 'weekly', 'monthly', 'yearly'],
+
+  // Validate and clean a rule coming from the form or an import
+  normalize(rule) {
+    if (!rule || !this.frequencies.includes(rule.freq)) return null;
+
+    const normalized = {
+      freq: rule.freq,
+      interval: Math.max(1, parseInt(rule.interval, 10) || 1),
+      until: rule.until && DateUtils.parseISODate(rule.until) ? rule.until.substr(0, 10) : null,
+      count: parseInt(rule.count, 10) > 0 ? parseInt(rule.count, 10) : null,
+      occurrence: Math.max(1, parseInt(rule.occurrence, 10) || 1)
+    };
+
+    if (rule.freq === 'weekly') {
+      normalized.byWeekday = Array.isArray(rule.byWeekday) ?
+        [...new Set(rule.byWeekday.map(day => parseInt(day, 10)))]
+          .filter(day => day >= 0 && day <= 6)
+          .sort((a, b) => a - b) :
+        [];
+    }
+
+    if (rule.freq === 'monthly') {
+      normalized.monthlyMode = rule.monthlyMode === 'weekday' ? 'weekday' : 'day';
+
+      if (normalized.monthlyMode === 'weekday') {
+        const weekday = parseInt(Array.isArray(rule.byWeekday) ? rule.byWeekday[0] : rule.byWeekday, 10);
+        const setPos = parseInt(rule.bySetPos, 10);
+        normalized.byWeekday = [weekday >= 0 && weekday <= 6 ? weekday : 1];
+        normalized.bySetPos = [-1, 1, 2, 3, 4].includes(setPos) ? setPos : 1;
+      }
+    }
+
+    if ((rule.freq === 'monthly' && normalized.monthlyMode === 'day') || rule.freq === 'yearly') {
+      const monthDay = parseInt(rule.byMonthDay, 10);
+      normalized.byMonthDay = monthDay >= 1 && monthDay <= 31 ? monthDay : null;
+    }
+
+    return normalized;
+  },
+
+  // Build a monthly 'weekday' rule position from a date (e.g. 3rd or last Friday)
+  getSetPos(date, preferLast = false) {
+    const d = new Date(date);
+    const lastDay = DateUtils.daysInMonth(d.getFullYear(), d.getMonth());
+    if (preferLast && d.getDate() + 7 > lastDay) return -1;
+    return Math.min(4, Math.ceil(d.getDate() / 7));
+  },
+
+  // Nth weekday of a month (setPos -1 = last), or null if it doesn't exist
+  nthWeekdayOfMonth(year, month, weekday, setPos) {
+    if (setPos === -1) {
+      const last = new Date(year, month, DateUtils.daysInMonth(year, month));
+      last.setDate(last.getDate() - ((last.getDay() - weekday + 7) % 7));
+      return last;
+    }
+
+    const first = new Date(year, month, 1);
+    const day = 1 + ((weekday - first.getDay() + 7) % 7) + (setPos - 1) * 7;
+    if (day > DateUtils.daysInMonth(year, month)) return null;
+    return new Date(year, month, day);
+  },
+
+  // Day of month clamped to the month length (31 -> 30, 29 Feb -> 28 Feb)
+  clampedDate(year, month, day) {
+    return new Date(year, month, Math.min(day, DateUtils.daysInMonth(year, month)));
+  },
+
+  // Get the date (YYYY-MM-DD) of the occurrence after `fromDate`, or null when the series ended.
+  // `nextOccurrence` is the index the returned date would have, checked against `count`.
+  getNextDate(rule, fromDate, nextOccurrence = 2) {
+    rule = this.normalize(rule);
+    const from = DateUtils.parseISODate(fromDate);
+    if (!rule || !from) return null;
+
+    if (rule.count && nextOccurrence > rule.count) return null;
+
+    let next = null;
+
+    switch (rule.freq) {
+      case 'daily':
+        next = DateUtils.addDays(from, rule.interval);
+        break;
+      case 'weekly':
+        next = this.nextWeekly(rule, from);
+        break;
+      case 'monthly':
+        next = this.nextMonthly(rule, from);
+        break;
+      case 'yearly':
+        // The series' own day, not the previous (possibly clamped) one
+        next = this.clampedDate(from.getFullYear() + rule.interval, from.getMonth(), rule.byMonthDay || from.getDate());
+        break;
+    }
+
+    if (!next) return null;
+
+    if (rule.until && next > DateUtils.parseISODate(rule.until)) return null;
+
+    return DateUtils.toISODate(next);
+  },
+
+  nextWeekly(rule, from) {
+    const weekdays = rule.byWeekday.length > 0 ? rule.byWeekday : [from.getDay()];
+    const fromWeekStart = DateUtils.addDays(from, -from.getDay());
+
+    for (let offset = 1; offset <= 7 * rule.interval + 7; offset++) {
+      const candidate = DateUtils.addDays(from, offset);
+      const candidateWeekStart = DateUtils.addDays(candidate, -candidate.getDay());
+      const weeksApart = Math.round((candidateWeekStart - fromWeekStart) / (7 * 24 * 60 * 60 * 1000));
+
+      if (weeksApart % rule.interval === 0 && weekdays.includes(candidate.getDay())) {
+        return candidate;
+      }
+    }
+
+    return null;
+  },
+
+  nextMonthly(rule, from) {
+    // Check the current month first (the rule may land later in it), then every `interval` months
+    for (let step = 0; step <= 12; step++) {
+      const monthIndex = from.getMonth() + step * rule.interval;
+      const year = from.getFullYear() + Math.floor(monthIndex / 12);
+      const month = monthIndex % 12;
+
+      const candidate = rule.monthlyMode === 'weekday' ?
+        this.nthWeekdayOfMonth(year, month, rule.byWeekday[0], rule.bySetPos) :
+        this.clampedDate(year, month, rule.byMonthDay || from.getDate());
+
+      if (candidate && candidate > from) return candidate;
+    }
+
+    return null;
+  },
+
+  // Human readable description in Portuguese
+  describe(rule) {
+    rule = this.normalize(rule);
+    if (!rule) return '';
+
+    const units = {
+      daily: ['Diariamente', 'dias'],
+      weekly: ['Semanalmente', 'semanas'],
+      monthly: ['Mensalmente', 'meses'],
+      yearly: ['Anualmente', 'anos']
+    };
+
+    const [single, plural] = units[rule.freq];
+    let text = rule.interval === 1 ? single : `A cada ${rule.interval} ${plural}`;
+
+    if (rule.freq === 'weekly' && rule.byWeekday.length > 0) {
+      text += ` (${rule.byWeekday.map(day => DateUtils.weekdayShortNames[day].toLowerCase()).join(', ')})`;
+    }
+
+    if (rule.freq === 'monthly') {
+      if (rule.monthlyMode === 'weekday') {
+        const weekday = rule.byWeekday[0];
+        // Sábado and domingo are masculine in Portuguese
+        const masculine = weekday === 0 || weekday === 6;
+        const position = rule.bySetPos === -1 ?
+          (masculine ? 'último' : 'última') :
+          `${rule.bySetPos}${masculine ? 'º' : 'ª'}`;
+        text += `, ${masculine ? 'no' : 'na'} ${position} ${DateUtils.weekdayNames[weekday].toLowerCase()}`;
+      } else if (rule.byMonthDay) {
+        text += `, no dia ${rule.byMonthDay}`;
+      }
+    }
+
+    if (rule.until) {
+      text += `, até ${DateUtils.formatDate(DateUtils.parseISODate(rule.until))}`;
+    } else if (rule.count) {
+      text += `, ${rule.count} vezes`;
+    }
+
+    return text;
+  }
+};
+
+// Register with the shared utilities
+window.Utils.Recurrence = RecurrenceUtils;
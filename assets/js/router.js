@@ -123,6 +123,7 @@ class Router {
     const titles = {
       dashboard: 'Dashboard - List Kamba',
       tasks: 'Tarefas - List Kamba',
+      trash: 'Lixeira - List Kamba',
       calendar: 'Calendário - List Kamba',
       timer: 'Cronómetro - List Kamba',
       analytics: 'Analytics - List Kamba',
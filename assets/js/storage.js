@@ -6,14 +6,19 @@
 class StorageManager {
   constructor() {
     this.dbName = 'ListKambaDB';
-    this.dbVersion = 1;
+    this.dbVersion = 5;
     this.db = null;
     this.stores = {
       tasks: 'tasks',
+      projects: 'projects',
       settings: 'settings',
-      analytics: 'analytics'
+      analytics: 'analytics',
+      reminderDeliveries: 'reminderDeliveries',
+      notificationHistory: 'notificationHistory'
     };
     
+    this.taskStatuses = ['pending', 'in_progress', 'completed', 'archived'];
+    
     this.isOnline = navigator.onLine;
     this.syncQueue = [];
     
@@ -66,6 +71,22 @@ class StorageManager {
           tasksStore.createIndex('createdAt', 'createdAt', { unique: false });
         }
         
+        // v2: tags index (one entry per tag)
+        const upgradeTasksStore = event.target.transaction.objectStore(this.stores.tasks);
+        if (!upgradeTasksStore.indexNames.contains('tags')) {
+          upgradeTasksStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+        }
+        
+        // v3: projects (task lists)
+        if (!upgradeTasksStore.indexNames.contains('projectId')) {
+          upgradeTasksStore.createIndex('projectId', 'projectId', { unique: false });
+        }
+        
+        if (!db.objectStoreNames.contains(this.stores.projects)) {
+          const projectsStore = db.createObjectStore(this.stores.projects, { keyPath: 'id' });
+          projectsStore.createIndex('archived', 'archived', { unique: false });
+        }
+        
         // Create settings store
         if (!db.objectStoreNames.contains(this.stores.settings)) {
           db.createObjectStore(this.stores.settings, { keyPath: 'key' });
@@ -77,6 +98,19 @@ class StorageManager {
           analyticsStore.createIndex('date', 'date', { unique: false });
           analyticsStore.createIndex('type', 'type', { unique: false });
         }
+        
+        // v4: one record per delivered reminder
+        if (!db.objectStoreNames.contains(this.stores.reminderDeliveries)) {
+          const deliveriesStore = db.createObjectStore(this.stores.reminderDeliveries, { keyPath: 'id' });
+          deliveriesStore.createIndex('taskId', 'taskId', { unique: false });
+          deliveriesStore.createIndex('deliveredAt', 'deliveredAt', { unique: false });
+        }
+        
+        // v5: notification centre
+        if (!db.objectStoreNames.contains(this.stores.notificationHistory)) {
+          const historyStore = db.createObjectStore(this.stores.notificationHistory, { keyPath: 'id' });
+          historyStore.createIndex('createdAt', 'createdAt', { unique: false });
+        }
       };
     });
   }
@@ -91,6 +125,48 @@ class StorageManager {
       Utils.Storage.remove('tasks');
       console.log('Migrated tasks from localStorage to IndexedDB');
     }
+    
+    await this.migrateTaskText();
+  }
+
+  // Titles and descriptions used to be stored HTML-escaped, and escaped again on every save.
+  // They are plain text now (escaped when rendered); undo snapshots are decoded too.
+  async migrateTaskText() {
+    if (!this.db || await this.getSetting('plainTaskText', false)) return;
+
+    const decode = text => {
+      let decoded = text || '';
+      for (let i = 0; i < 10 && /&(amp|lt|gt|quot|#39);/.test(decoded); i++) {
+        decoded = Utils.String.unescapeHtml(decoded);
+      }
+      return decoded;
+    };
+    const decodeTask = task => {
+      if (!task) return false;
+      const title = decode(task.title);
+      const description = decode(task.description);
+      const changed = title !== task.title || description !== (task.description || '');
+      task.title = title;
+      task.description = description;
+      return changed;
+    };
+
+    const tasks = (await this.getTasks({ trash: 'include' })).filter(decodeTask);
+    await this.saveTasksBulk(tasks);
+
+    const history = await this.getSetting('taskHistory', null);
+    if (history) {
+      [...(history.undo || []), ...(history.redo || [])]
+        .flatMap(command => command.changes)
+        .forEach(change => {
+          decodeTask(change.before);
+          decodeTask(change.after);
+        });
+      await this.setSetting('taskHistory', history);
+    }
+
+    await this.setSetting('plainTaskText', true);
+    if (tasks.length > 0) console.log(`Decoded the text of ${tasks.length} tasks`);
   }
 
   // Generic IndexedDB operations
@@ -168,15 +244,27 @@ class StorageManager {
   // Task management
   async getTasks(filters = {}) {
     try {
-      let tasks = await this.getFromStore(this.stores.tasks);
+      // Use the tags index when filtering by a tag
+      let tasks = filters.tag && this.db ?
+        await this.queryStore(this.stores.tasks, 'tags', Utils.String.normalizeTag(filters.tag)) :
+        await this.getFromStore(this.stores.tasks);
       
       if (!Array.isArray(tasks)) {
         tasks = tasks ? [tasks] : [];
       }
 
       // Apply filters
+      // Trashed tasks are hidden unless asked for ('only' or 'include')
+      if (filters.trash === 'only') {
+        tasks = tasks.filter(task => task.deletedAt);
+      } else if (filters.trash !== 'include') {
+        tasks = tasks.filter(task => !task.deletedAt);
+      }
+      
+      // A single status or a list of statuses
       if (filters.status) {
-        tasks = tasks.filter(task => task.status === filters.status);
+        const statuses = [].concat(filters.status);
+        tasks = tasks.filter(task => statuses.includes(task.status));
       }
       
       if (filters.category) {
@@ -187,11 +275,24 @@ class StorageManager {
         tasks = tasks.filter(task => task.priority === filters.priority);
       }
       
+      // 'none' selects tasks without a project
+      if (filters.projectId) {
+        tasks = tasks.filter(task => filters.projectId === 'none' ?
+          !task.projectId :
+          task.projectId === filters.projectId
+        );
+      }
+      
+      if (filters.tag && !this.db) {
+        const tag = Utils.String.normalizeTag(filters.tag);
+        tasks = tasks.filter(task => (task.tags || []).includes(tag));
+      }
+      
       if (filters.today) {
         const today = Utils.Date.now().toDateString();
         tasks = tasks.filter(task => {
           if (!task.dueDate) return false;
-          return new Date(task.dueDate).toDateString() === today;
+          return Utils.Date.parseISODate(task.dueDate).toDateString() === today;
         });
       }
       
@@ -199,13 +300,25 @@ class StorageManager {
         const searchTerm = filters.search.toLowerCase();
         tasks = tasks.filter(task => 
           Utils.String.searchMatch(task.title, searchTerm) ||
-          Utils.String.searchMatch(task.description, searchTerm)
+          Utils.String.searchMatch(task.description, searchTerm) ||
+          (task.tags || []).some(tag => Utils.String.searchMatch(tag, searchTerm))
         );
       }
 
-      // Sort by priority and due date
-      tasks.sort((a, b) => {
-        const priorityOrder = { alta: 3, media: 2, baixa: 1 };
+      return this.sortTasks(tasks, filters.sort);
+    } catch (error) {
+      console.error('Error getting tasks:', error);
+      return [];
+    }
+  }
+
+  // Sort modes: priority, dueDate, createdAt, updatedAt, title, manual
+  sortTasks(tasks, sort = 'priority') {
+    const byCreated = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+    const priorityOrder = { alta: 3, media: 2, baixa: 1 };
+
+    const comparators = {
+      priority: (a, b) => {
         const aPriority = priorityOrder[a.priority] || 1;
         const bPriority = priorityOrder[b.priority] || 1;
         
@@ -214,17 +327,32 @@ class StorageManager {
         }
         
         if (a.dueDate && b.dueDate) {
-          return new Date(a.dueDate) - new Date(b.dueDate);
+          return Utils.Date.getDueDateTime(a.dueDate, a.dueTime) - Utils.Date.getDueDateTime(b.dueDate, b.dueTime);
         }
         
-        return new Date(b.createdAt) - new Date(a.createdAt);
-      });
+        return byCreated(a, b);
+      },
+      // Tasks without a due date go last
+      dueDate: (a, b) => {
+        if (a.dueDate !== b.dueDate || a.dueTime !== b.dueTime) {
+          if (!a.dueDate) return 1;
+          if (!b.dueDate) return -1;
+          return Utils.Date.getDueDateTime(a.dueDate, a.dueTime) - Utils.Date.getDueDateTime(b.dueDate, b.dueTime);
+        }
+        return byCreated(a, b);
+      },
+      createdAt: byCreated,
+      updatedAt: (a, b) => new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt),
+      title: (a, b) => a.title.localeCompare(b.title, 'pt', { sensitivity: 'base' }),
+      manual: (a, b) => (this.getTaskOrder(a) - this.getTaskOrder(b)) || byCreated(a, b)
+    };
 
-      return tasks;
-    } catch (error) {
-      console.error('Error getting tasks:', error);
-      return [];
-    }
+    return tasks.sort(comparators[sort] || comparators.priority);
+  }
+
+  // Tasks saved before manual ordering existed fall back to their creation time
+  getTaskOrder(task) {
+    return Number.isFinite(task.order) ? task.order : (Date.parse(task.createdAt) || 0);
   }
 
   async getTask(id) {
@@ -232,7 +360,7 @@ class StorageManager {
       if (this.db) {
         return await this.getFromStore(this.stores.tasks, id);
       } else {
-        const tasks = await this.getTasks();
+        const tasks = await this.getTasks({ trash: 'include' });
         return tasks.find(task => task.id === id);
       }
     } catch (error) {
@@ -243,41 +371,7 @@ class StorageManager {
 
   async saveTask(task) {
     try {
-      // Validate task data
-      if (!task.title || !task.title.trim()) {
-        throw new Error('Task title is required');
-      }
-
-      // Set defaults
-      if (!task.id) {
-        task.id = Utils.String.generateId();
-      }
-      
-      if (!task.createdAt) {
-        task.createdAt = Utils.Date.now().toISOString();
-      }
-      
-      task.updatedAt = Utils.Date.now().toISOString();
-      
-      // Sanitize data
-      task.title = Utils.String.sanitizeHtml(task.title);
-      task.description = Utils.String.sanitizeHtml(task.description || '');
-      
-      // Validate priority
-      if (!['alta', 'media', 'baixa'].includes(task.priority)) {
-        task.priority = 'media';
-      }
-      
-      // Validate category
-      const validCategories = Utils.Angola.taskCategories.map(cat => cat.id);
-      if (!validCategories.includes(task.category)) {
-        task.category = 'outros';
-      }
-      
-      // Validate status
-      if (!['pending', 'completed', 'archived'].includes(task.status)) {
-        task.status = 'pending';
-      }
+      this.prepareTask(task);
 
       await this.saveToStore(this.stores.tasks, task);
       
@@ -295,9 +389,135 @@ class StorageManager {
     }
   }
 
+  // Validate and normalize a task in place before it is written
+  prepareTask(task) {
+    // Validate task data
+    if (!task.title || !task.title.trim()) {
+      throw new Error('Task title is required');
+    }
+
+    // Set defaults
+    if (!task.id) {
+      task.id = Utils.String.generateId();
+    }
+    
+    if (!task.createdAt) {
+      task.createdAt = Utils.Date.now().toISOString();
+    }
+    
+    task.updatedAt = Utils.Date.now().toISOString();
+    
+    // Fractional manual order; new tasks go to the end of the list
+    task.order = this.getTaskOrder(task);
+    
+    // Plain text: every renderer escapes it, escaping here too would grow it on every save
+    task.description = task.description || '';
+    
+    // Validate priority
+    if (!['alta', 'media', 'baixa'].includes(task.priority)) {
+      task.priority = 'media';
+    }
+    
+    // Validate category
+    const validCategories = Utils.Angola.taskCategories.map(cat => cat.id);
+    if (!validCategories.includes(task.category)) {
+      task.category = 'outros';
+    }
+    
+    // Validate status
+    if (!this.taskStatuses.includes(task.status)) {
+      task.status = 'pending';
+    }
+
+    // Due date and time: all-day tasks have no time; a duration (minutes) only applies to timed tasks
+    task.dueDate = Utils.Date.parseISODate(task.dueDate) ? task.dueDate.substr(0, 10) : null;
+    task.dueTime = task.dueDate && Utils.Date.parseTime(task.dueTime) ? task.dueTime : null;
+    task.allDay = !task.dueTime;
+    const duration = parseInt(task.duration, 10);
+    task.duration = task.dueTime && duration > 0 ? Math.min(duration, 24 * 60) : null;
+
+    // Validate recurrence rule
+    task.recurrence = Utils.Recurrence.normalize(task.recurrence);
+    
+    task.reminders = this.normalizeReminders(task.reminders);
+    task.snoozedUntil = task.snoozedUntil && !isNaN(Date.parse(task.snoozedUntil)) ? task.snoozedUntil : null;
+    
+    // Time tracking: estimate and time spent are minutes; timerStartedAt is set while the manual tracker runs
+    const estimate = parseInt(task.estimate, 10);
+    task.estimate = estimate > 0 ? Math.min(estimate, 100 * 60) : null;
+    task.timeSpent = Math.max(0, Math.round((parseFloat(task.timeSpent) || 0) * 10) / 10);
+    task.pomodoroCount = Math.max(0, parseInt(task.pomodoroCount, 10) || 0);
+    task.timerStartedAt = task.timerStartedAt && !isNaN(Date.parse(task.timerStartedAt)) ? task.timerStartedAt : null;
+    
+    task.projectId = task.projectId || null;
+    
+    // Normalize tags (lowercase, no spaces, unique)
+    task.tags = Array.isArray(task.tags) ?
+      [...new Set(task.tags.map(tag => Utils.String.normalizeTag(tag)).filter(Boolean))].slice(0, 20) :
+      [];
+    
+    // Validate subtasks (ordered checklist). Titles are escaped when rendered,
+    // sanitizing here would double-escape them on every save.
+    task.subtasks = Array.isArray(task.subtasks) ?
+      task.subtasks
+        .filter(subtask => subtask && subtask.title && subtask.title.trim())
+        .map(subtask => ({
+          id: subtask.id || Utils.String.generateId(),
+          title: subtask.title.trim().substr(0, 200),
+          done: !!subtask.done,
+          completedAt: subtask.done ? (subtask.completedAt || Utils.Date.now().toISOString()) : null
+        })) :
+      [];
+
+    return task;
+  }
+
+  // Reminders are either { type: 'relative', offset } (minutes before the due moment)
+  // or { type: 'absolute', at: 'YYYY-MM-DDTHH:MM' }; duplicates are dropped
+  normalizeReminders(reminders) {
+    if (!Array.isArray(reminders)) return [];
+    
+    const seen = new Set();
+    return reminders
+      .map(reminder => {
+        if (!reminder) return null;
+        
+        if (reminder.type === 'absolute') {
+          const [date, time] = String(reminder.at || '').split('T');
+          if (!Utils.Date.parseISODate(date) || !Utils.Date.parseTime(time)) return null;
+          return { id: reminder.id || Utils.String.generateId(), type: 'absolute', at: `${date.substr(0, 10)}T${time.substr(0, 5)}` };
+        }
+        
+        const offset = parseInt(reminder.offset, 10);
+        if (!(offset >= 0)) return null;
+        return { id: reminder.id || Utils.String.generateId(), type: 'relative', offset: Math.min(offset, 30 * 24 * 60) };
+      })
+      .filter(reminder => {
+        if (!reminder) return false;
+        const key = reminder.type === 'absolute' ? reminder.at : reminder.offset;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, 10);
+  }
+
+  // Deleting moves the task to the trash; purgeTask removes it for good
   async deleteTask(id) {
     try {
-      await this.deleteFromStore(this.stores.tasks, id);
+      const task = await this.getTask(id);
+      if (!task) return false;
+      
+      task.deletedAt = Utils.Date.now().toISOString();
+      
+      // A running tracker stops with the task (getTasks no longer sees it to stop it later)
+      const trackedMinutes = this.stopTimer(task);
+      
+      await this.saveToStore(this.stores.tasks, task);
+      
+      if (trackedMinutes > 0) {
+        await this.trackEvent('time_tracked', { taskId: id, minutes: trackedMinutes, pomodoros: 0, source: 'manual' });
+      }
       
       // Track analytics
       await this.trackEvent('task_deleted', { taskId: id });
@@ -309,173 +529,955 @@ class StorageManager {
     }
   }
 
-  async completeTask(id) {
+  async restoreTask(id) {
     try {
       const task = await this.getTask(id);
       if (!task) return false;
       
-      task.status = 'completed';
-      task.completedAt = Utils.Date.now().toISOString();
-      
-      await this.saveTask(task);
+      delete task.deletedAt;
+      await this.saveToStore(this.stores.tasks, task);
       
-      // Track analytics
-      await this.trackEvent('task_completed', {
-        taskId: id,
-        category: task.category,
-        priority: task.priority,
-        daysToComplete: task.dueDate ? 
-          Math.ceil((new Date(task.completedAt) - new Date(task.createdAt)) / (1000 * 60 * 60 * 24)) : 
-          null
-      });
+      await this.trackEvent('task_restored', { taskId: id });
       
       return true;
     } catch (error) {
-      console.error('Error completing task:', error);
+      console.error('Error restoring task:', error);
       return false;
     }
   }
 
-  // Settings management
-  async getSetting(key, defaultValue = null) {
+  async purgeTask(id) {
     try {
-      const setting = await this.getFromStore(this.stores.settings, key);
-      return setting ? setting.value : defaultValue;
+      await this.deleteFromStore(this.stores.tasks, id);
+      
+      await this.trackEvent('task_purged', { taskId: id });
+      this.notifyPurged([id]);
+      
+      return true;
     } catch (error) {
-      console.error('Error getting setting:', error);
-      return defaultValue;
+      console.error('Error purging task:', error);
+      return false;
     }
   }
 
-  async setSetting(key, value) {
+  // Permanently remove trashed tasks deleted more than `days` ago (0 = all of them)
+  async purgeTrash(days = 0) {
     try {
-      await this.saveToStore(this.stores.settings, { key, value });
-      return true;
+      const cutoff = Utils.Date.now();
+      cutoff.setDate(cutoff.getDate() - days);
+      
+      const expired = (await this.getTasks({ trash: 'only' }))
+        .filter(task => new Date(task.deletedAt) <= cutoff);
+      
+      for (const task of expired) {
+        await this.deleteFromStore(this.stores.tasks, task.id);
+      }
+      
+      if (expired.length > 0) this.notifyPurged(expired.map(task => task.id));
+      return expired.length;
     } catch (error) {
-      console.error('Error setting setting:', error);
-      return false;
+      console.error('Error purging trash:', error);
+      return 0;
     }
   }
 
-  // Analytics tracking
-  async trackEvent(type, data = {}) {
+  // Purged tasks are gone for good: undo history drops them (see TaskHistory.forget)
+  notifyPurged(taskIds) {
+    document.dispatchEvent(new CustomEvent('tasksPurged', { detail: { taskIds } }));
+  }
+
+  // Put a task back as captured (null = the task didn't exist), used by undo/redo.
+  // With `fields`, only those are put back on the stored task, so changes made since
+  // outside the history (subtasks, tracked time, notification actions) are kept.
+  async applyTaskSnapshot(id, snapshot, fields = null) {
+    if (!snapshot) {
+      await this.deleteFromStore(this.stores.tasks, id);
+      return true;
+    }
+    
+    const current = fields ? await this.getTask(id) : null;
+    if (!current) {
+      await this.saveToStore(this.stores.tasks, snapshot);
+      return true;
+    }
+    
+    fields.forEach(field => {
+      if (field in snapshot) {
+        current[field] = snapshot[field];
+      } else {
+        delete current[field];
+      }
+    });
+    current.updatedAt = Utils.Date.now().toISOString();
+    
+    await this.saveToStore(this.stores.tasks, current);
+    return true;
+  }
+
+  async completeTask(id) {
     try {
-      const event = {
-        id: Utils.String.generateId(),
-        type,
-        data,
-        date: Utils.Date.now().toISOString(),
-        timestamp: Date.now()
-      };
+      const task = await this.getTask(id);
+      if (!task) return false;
       
-      await this.saveToStore(this.stores.analytics, event);
+      task.status = 'completed';
+      task.completedAt = Utils.Date.now().toISOString();
+      
+      // A running tracker stops with the task
+      const trackedMinutes = this.stopTimer(task);
+      
+      await this.saveTask(task);
+      
+      if (trackedMinutes > 0) {
+        await this.trackEvent('time_tracked', { taskId: id, minutes: trackedMinutes, pomodoros: 0, source: 'manual' });
+      }
+      
+      // Recurring tasks spawn their next occurrence
+      if (task.recurrence && !task.nextOccurrenceId) {
+        await this.spawnNextOccurrence(task);
+      }
+      
+      // Track analytics
+      await this.trackEvent('task_completed', this.getCompletionEventData(task));
       
       return true;
     } catch (error) {
-      console.error('Error tracking event:', error);
+      console.error('Error completing task:', error);
       return false;
     }
   }
 
-  async getAnalytics(filters = {}) {
+  // Tasks completed by the service worker (notification action) leave their next occurrence to the app
+  async spawnPendingOccurrences() {
     try {
-      let events = await this.getFromStore(this.stores.analytics);
-      
-      if (!Array.isArray(events)) {
-        events = events ? [events] : [];
-      }
-
-      // Apply filters
-      if (filters.type) {
-        events = events.filter(event => event.type === filters.type);
-      }
+      const tasks = (await this.getTasks({ status: 'completed' })).filter(task => task.spawnPending);
       
-      if (filters.startDate) {
-        events = events.filter(event => 
-          new Date(event.date) >= new Date(filters.startDate)
-        );
+      for (const task of tasks) {
+        delete task.spawnPending;
+        await this.saveToStore(this.stores.tasks, task);
+        
+        if (task.recurrence && !task.nextOccurrenceId) {
+          await this.spawnNextOccurrence(task);
+        }
       }
       
-      if (filters.endDate) {
-        events = events.filter(event => 
-          new Date(event.date) <= new Date(filters.endDate)
-        );
-      }
-
-      return events;
+      return tasks.length;
     } catch (error) {
-      console.error('Error getting analytics:', error);
-      return [];
+      console.error('Error spawning pending occurrences:', error);
+      return 0;
     }
   }
 
-  // Data export/import
-  async exportData() {
+  getCompletionEventData(task) {
+    return {
+      taskId: task.id,
+      category: task.category,
+      priority: task.priority,
+      daysToComplete: task.dueDate ? 
+        Math.ceil((new Date(task.completedAt) - new Date(task.createdAt)) / (1000 * 60 * 60 * 24)) : 
+        null,
+      estimate: task.estimate || null,
+      timeSpent: task.timeSpent || 0
+    };
+  }
+
+  // The next task of a recurring series, or null once the series has ended (until/count reached)
+  buildNextOccurrence(task) {
+    const baseDate = task.dueDate || Utils.Date.toISODate(Utils.Date.now());
+    const occurrence = (task.recurrence.occurrence || 1) + 1;
+    const nextDate = Utils.Recurrence.getNextDate(task.recurrence, baseDate, occurrence);
+    
+    if (!nextDate) return null;
+    
+    return {
+      ...task,
+      id: null,
+      createdAt: null,
+      completedAt: null,
+      nextOccurrenceId: null,
+      snoozedUntil: null,
+      // Each occurrence tracks its own time against the same estimate
+      timeSpent: 0,
+      pomodoroCount: 0,
+      timerStartedAt: null,
+      status: 'pending',
+      // Overdue escalation raised this occurrence only; the next one starts at the user's priority
+      priority: task.basePriority || task.priority,
+      basePriority: null,
+      dueDate: nextDate,
+      seriesId: task.seriesId || task.id,
+      recurrence: { ...task.recurrence, occurrence },
+      // Relative reminders follow the new due date; fixed date-times stay with this occurrence
+      reminders: (task.reminders || []).filter(reminder => reminder.type === 'relative'),
+      // Checklists start over on every occurrence
+      subtasks: (task.subtasks || []).map(subtask => ({ title: subtask.title, done: false }))
+    };
+  }
+
+  // An imported series keeps its UID on the open occurrence (the next one copies it), so
+  // re-importing the calendar updates that one; the completed occurrence gets a UID of its own
+  handOverCalendarUid(task) {
+    task.icalUid = null;
+  }
+
+  async spawnNextOccurrence(task) {
     try {
-      const data = {
-        tasks: await this.getTasks(),
-        settings: await this.getAllSettings(),
-        analytics: await this.getAnalytics(),
-        exportDate: Utils.Date.now().toISOString(),
-        version: this.dbVersion
-      };
+      const nextTask = this.buildNextOccurrence(task);
+      if (!nextTask) return null;
       
-      return JSON.stringify(data, null, 2);
+      const savedTask = await this.saveTask(nextTask);
+      
+      // Remember the spawned occurrence so completing this task again doesn't duplicate it
+      task.nextOccurrenceId = savedTask.id;
+      this.handOverCalendarUid(task);
+      await this.saveToStore(this.stores.tasks, task);
+      
+      await this.trackEvent('task_recurred', {
+        taskId: savedTask.id,
+        seriesId: savedTask.seriesId,
+        occurrence: savedTask.recurrence.occurrence
+      });
+      
+      return savedTask;
     } catch (error) {
-      console.error('Error exporting data:', error);
-      throw error;
+      console.error('Error spawning next occurrence:', error);
+      return null;
     }
   }
 
-  async importData(jsonData) {
+  // Time tracking
+  // Adds minutes (and finished Pomodoros) to a task; source is 'manual' or 'pomodoro'
+  async addTimeSpent(taskId, minutes, pomodoros = 0, source = 'manual') {
     try {
-      const data = JSON.parse(jsonData);
-      
-      // Validate data structure
-      if (!data.tasks || !Array.isArray(data.tasks)) {
-        throw new Error('Invalid data format: tasks not found');
-      }
+      const task = await this.getTask(taskId);
+      if (!task || !(minutes > 0 || pomodoros > 0)) return null;
       
-      // Import tasks
-      for (const task of data.tasks) {
-        await this.saveTask(task);
-      }
+      task.timeSpent = (task.timeSpent || 0) + Math.max(0, minutes);
+      task.pomodoroCount = (task.pomodoroCount || 0) + pomodoros;
       
-      // Import settings
-      if (data.settings) {
-        for (const [key, value] of Object.entries(data.settings)) {
-          await this.setSetting(key, value);
-        }
-      }
+      const savedTask = await this.saveTask(task);
       
-      // Track import
-      await this.trackEvent('data_imported', {
-        tasksCount: data.tasks.length,
-        importDate: data.exportDate
+      await this.trackEvent('time_tracked', {
+        taskId,
+        minutes: Math.round(minutes * 10) / 10,
+        pomodoros,
+        source
       });
       
-      return true;
+      return savedTask;
     } catch (error) {
-      console.error('Error importing data:', error);
-      throw error;
+      console.error('Error adding time spent:', error);
+      return null;
     }
   }
 
-  async getAllSettings() {
+  // Manual tracker; only one task is timed at a time
+  async startTimeTracking(taskId) {
     try {
-      const settings = await this.getFromStore(this.stores.settings);
-      const result = {};
+      const task = await this.getTask(taskId);
+      if (!task || task.timerStartedAt) return task || null;
       
-      if (Array.isArray(settings)) {
-        settings.forEach(setting => {
-          result[setting.key] = setting.value;
-        });
+      const running = (await this.getTasks()).filter(other => other.timerStartedAt && other.id !== taskId);
+      for (const other of running) {
+        await this.stopTimeTracking(other.id);
       }
       
-      return result;
+      task.timerStartedAt = Utils.Date.now().toISOString();
+      return await this.saveTask(task);
     } catch (error) {
-      console.error('Error getting all settings:', error);
-      return {};
+      console.error('Error starting time tracking:', error);
+      return null;
+    }
+  }
+
+  async stopTimeTracking(taskId) {
+    try {
+      const task = await this.getTask(taskId);
+      if (!task?.timerStartedAt) return task || null;
+      
+      const minutes = this.stopTimer(task);
+      const savedTask = await this.saveTask(task);
+      
+      await this.trackEvent('time_tracked', { taskId, minutes, pomodoros: 0, source: 'manual' });
+      
+      return savedTask;
+    } catch (error) {
+      console.error('Error stopping time tracking:', error);
+      return null;
+    }
+  }
+
+  // Moves the running tracker's elapsed time into timeSpent; returns the minutes added
+  stopTimer(task) {
+    if (!task.timerStartedAt) return 0;
+    
+    const minutes = Math.max(0, (Utils.Date.now() - new Date(task.timerStartedAt)) / (1000 * 60));
+    task.timeSpent = (task.timeSpent || 0) + minutes;
+    task.timerStartedAt = null;
+    
+    return Math.round(minutes * 10) / 10;
+  }
+
+  // Place a task between its new neighbours; orderedIds is the list as shown after the move
+  async reorderTask(taskId, orderedIds) {
+    try {
+      const index = orderedIds.indexOf(taskId);
+      const task = await this.getTask(taskId);
+      if (index === -1 || !task) return false;
+
+      const prev = index > 0 ? await this.getTask(orderedIds[index - 1]) : null;
+      const next = index < orderedIds.length - 1 ? await this.getTask(orderedIds[index + 1]) : null;
+      const prevOrder = prev ? this.getTaskOrder(prev) : null;
+      const nextOrder = next ? this.getTaskOrder(next) : null;
+
+      let order;
+      if (prev && next) {
+        order = (prevOrder + nextOrder) / 2;
+      } else if (prev) {
+        order = prevOrder + 1;
+      } else if (next) {
+        order = nextOrder - 1;
+      } else {
+        return true;
+      }
+
+      if ((prev && order <= prevOrder) || (next && order >= nextOrder)) {
+        // Out of floating point room between the neighbours: renumber the shown list once
+        const base = this.getTaskOrder(await this.getTask(orderedIds[0]) || task);
+        for (const [position, id] of orderedIds.entries()) {
+          const listTask = id === taskId ? task : await this.getTask(id);
+          if (!listTask) continue;
+          listTask.order = base + position;
+          await this.saveToStore(this.stores.tasks, listTask);
+        }
+      } else {
+        task.order = order;
+        await this.saveToStore(this.stores.tasks, task);
+      }
+
+      await this.trackEvent('task_reordered', { taskId });
+
+      return true;
+    } catch (error) {
+      console.error('Error reordering task:', error);
+      return false;
+    }
+  }
+
+  // Bulk operations: every task (and its analytics events) is written in one transaction
+  async saveTasksBulk(tasks, events = []) {
+    if (!this.db) {
+      for (const task of tasks) {
+        await this.saveToStore(this.stores.tasks, task);
+      }
+      for (const event of events) {
+        await this.saveToStore(this.stores.analytics, event);
+      }
+      return tasks;
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.stores.tasks, this.stores.analytics], 'readwrite');
+      const tasksStore = transaction.objectStore(this.stores.tasks);
+      const analyticsStore = transaction.objectStore(this.stores.analytics);
+      
+      tasks.forEach(task => tasksStore.put(task));
+      events.forEach(event => analyticsStore.put(event));
+      
+      transaction.oncomplete = () => resolve(tasks);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  async getTasksByIds(ids) {
+    const tasks = [];
+    for (const id of ids) {
+      const task = await this.getTask(id);
+      if (task) tasks.push(task);
+    }
+    return tasks;
+  }
+
+  // `changes` is an object, or a function returning the changes for each task (null skips it)
+  async updateTasks(ids, changes) {
+    try {
+      const tasks = [];
+      for (const task of await this.getTasksByIds(ids)) {
+        const taskChanges = typeof changes === 'function' ? changes(task) : changes;
+        if (taskChanges) {
+          tasks.push(this.prepareTask({ ...task, ...taskChanges }));
+        }
+      }
+      
+      const events = tasks.map(task => this.createEvent('task_saved', {
+        taskId: task.id,
+        category: task.category,
+        priority: task.priority
+      }));
+      
+      await this.saveTasksBulk(tasks, events);
+      return tasks.length;
+    } catch (error) {
+      console.error('Error updating tasks:', error);
+      throw error;
+    }
+  }
+
+  async completeTasks(ids) {
+    try {
+      const writes = [];
+      const events = [];
+      
+      const tasks = (await this.getTasksByIds(ids)).filter(task => task.status !== 'completed');
+      for (const task of tasks) {
+        task.status = 'completed';
+        task.completedAt = Utils.Date.now().toISOString();
+        
+        // A running tracker stops with the task
+        const trackedMinutes = this.stopTimer(task);
+        if (trackedMinutes > 0) {
+          events.push(this.createEvent('time_tracked', { taskId: task.id, minutes: trackedMinutes, pomodoros: 0, source: 'manual' }));
+        }
+        
+        // Recurring tasks spawn their next occurrence in the same transaction
+        if (task.recurrence && !task.nextOccurrenceId) {
+          const nextTask = this.buildNextOccurrence(task);
+          if (nextTask) {
+            this.prepareTask(nextTask);
+            task.nextOccurrenceId = nextTask.id;
+            this.handOverCalendarUid(task);
+            writes.push(nextTask);
+            events.push(this.createEvent('task_recurred', {
+              taskId: nextTask.id,
+              seriesId: nextTask.seriesId,
+              occurrence: nextTask.recurrence.occurrence
+            }));
+          }
+        }
+        
+        writes.push(this.prepareTask(task));
+        events.push(this.createEvent('task_completed', this.getCompletionEventData(task)));
+      }
+      
+      await this.saveTasksBulk(writes, events);
+      return tasks.length;
+    } catch (error) {
+      console.error('Error completing tasks:', error);
+      throw error;
+    }
+  }
+
+  async deleteTasks(ids) {
+    try {
+      const deletedAt = Utils.Date.now().toISOString();
+      const tasks = (await this.getTasksByIds(ids)).map(task => ({ ...task, deletedAt }));
+      const events = [];
+      
+      for (const task of tasks) {
+        // A running tracker stops with the task
+        const trackedMinutes = this.stopTimer(task);
+        if (trackedMinutes > 0) {
+          events.push(this.createEvent('time_tracked', { taskId: task.id, minutes: trackedMinutes, pomodoros: 0, source: 'manual' }));
+        }
+        events.push(this.createEvent('task_deleted', { taskId: task.id }));
+      }
+      
+      await this.saveTasksBulk(tasks, events);
+      return tasks.length;
+    } catch (error) {
+      console.error('Error deleting tasks:', error);
+      throw error;
+    }
+  }
+
+  // Subtasks
+  async addSubtask(taskId, title) {
+    try {
+      const task = await this.getTask(taskId);
+      if (!task || !title || !title.trim()) return null;
+      
+      task.subtasks = task.subtasks || [];
+      task.subtasks.push({ title: title.trim(), done: false });
+      
+      return await this.saveTask(task);
+    } catch (error) {
+      console.error('Error adding subtask:', error);
+      return null;
+    }
+  }
+
+  async updateSubtask(taskId, subtaskId, changes) {
+    try {
+      const task = await this.getTask(taskId);
+      const subtask = task?.subtasks?.find(item => item.id === subtaskId);
+      if (!subtask) return null;
+      
+      Object.assign(subtask, changes);
+      
+      return await this.saveTask(task);
+    } catch (error) {
+      console.error('Error updating subtask:', error);
+      return null;
+    }
+  }
+
+  async toggleSubtask(taskId, subtaskId) {
+    try {
+      const task = await this.getTask(taskId);
+      const subtask = task?.subtasks?.find(item => item.id === subtaskId);
+      if (!subtask) return null;
+      
+      subtask.done = !subtask.done;
+      subtask.completedAt = subtask.done ? Utils.Date.now().toISOString() : null;
+      
+      const savedTask = await this.saveTask(task);
+      
+      // Track analytics
+      await this.trackEvent(subtask.done ? 'subtask_completed' : 'subtask_reopened', {
+        taskId,
+        subtaskId,
+        completed: savedTask.subtasks.filter(item => item.done).length,
+        total: savedTask.subtasks.length
+      });
+      
+      return savedTask;
+    } catch (error) {
+      console.error('Error toggling subtask:', error);
+      return null;
+    }
+  }
+
+  async deleteSubtask(taskId, subtaskId) {
+    try {
+      const task = await this.getTask(taskId);
+      if (!task?.subtasks) return null;
+      
+      task.subtasks = task.subtasks.filter(item => item.id !== subtaskId);
+      
+      return await this.saveTask(task);
+    } catch (error) {
+      console.error('Error deleting subtask:', error);
+      return null;
+    }
+  }
+
+  async moveSubtask(taskId, subtaskId, offset) {
+    try {
+      const task = await this.getTask(taskId);
+      const index = task?.subtasks?.findIndex(item => item.id === subtaskId);
+      if (index === undefined || index < 0) return null;
+      
+      const newIndex = index + offset;
+      if (newIndex < 0 || newIndex >= task.subtasks.length) return task;
+      
+      const [subtask] = task.subtasks.splice(index, 1);
+      task.subtasks.splice(newIndex, 0, subtask);
+      
+      return await this.saveTask(task);
+    } catch (error) {
+      console.error('Error moving subtask:', error);
+      return null;
+    }
+  }
+
+  // Projects
+  async getProjects(filters = {}) {
+    try {
+      let projects = await this.getFromStore(this.stores.projects);
+      
+      if (!Array.isArray(projects)) {
+        projects = projects ? [projects] : [];
+      }
+      
+      if (!filters.includeArchived) {
+        projects = projects.filter(project => !project.archived);
+      }
+      
+      return projects.sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.error('Error getting projects:', error);
+      return [];
+    }
+  }
+
+  async saveProject(project) {
+    try {
+      if (!project.name || !project.name.trim()) {
+        throw new Error('Project name is required');
+      }
+      
+      if (!project.id) {
+        project.id = Utils.String.generateId();
+      }
+      
+      if (!project.createdAt) {
+        project.createdAt = Utils.Date.now().toISOString();
+      }
+      
+      project.updatedAt = Utils.Date.now().toISOString();
+      // Escaped when rendered, like subtask titles
+      project.name = project.name.trim().substr(0, 50);
+      project.color = /^#[0-9a-f]{6}$/i.test(project.color) ? project.color : '#2F5F8F';
+      project.icon = (project.icon || '📁').trim().substr(0, 4);
+      project.archived = !!project.archived;
+      
+      await this.saveToStore(this.stores.projects, project);
+      
+      await this.trackEvent('project_saved', {
+        projectId: project.id,
+        archived: project.archived
+      });
+      
+      return project;
+    } catch (error) {
+      console.error('Error saving project:', error);
+      throw error;
+    }
+  }
+
+  async deleteProject(id) {
+    try {
+      // Tasks of a deleted project go back to "Sem projeto"
+      const tasks = await this.getTasks({ projectId: id, trash: 'include' });
+      for (const task of tasks) {
+        task.projectId = null;
+        await this.saveTask(task);
+      }
+      
+      await this.deleteFromStore(this.stores.projects, id);
+      
+      await this.trackEvent('project_deleted', {
+        projectId: id,
+        tasksCount: tasks.length
+      });
+      
+      return true;
+    } catch (error) {
+      console.error('Error deleting project:', error);
+      return false;
+    }
+  }
+
+  // Tags
+  async getAllTags() {
+    try {
+      if (!this.db) {
+        const counts = {};
+        (await this.getTasks()).forEach(task => {
+          (task.tags || []).forEach(tag => {
+            counts[tag] = (counts[tag] || 0) + 1;
+          });
+        });
+        return Object.entries(counts)
+          .map(([name, count]) => ({ name, count }))
+          .sort((a, b) => a.name.localeCompare(b.name));
+      }
+
+      // Walk the tags index: one entry per (tag, task) pair, sorted by tag; trashed tasks don't count
+      return await new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([this.stores.tasks], 'readonly');
+        const index = transaction.objectStore(this.stores.tasks).index('tags');
+        const request = index.openCursor();
+        const tags = [];
+        
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve(tags);
+            return;
+          }
+          
+          if (!cursor.value.deletedAt) {
+            const last = tags[tags.length - 1];
+            if (last && last.name === cursor.key) {
+              last.count++;
+            } else {
+              tags.push({ name: cursor.key, count: 1 });
+            }
+          }
+          cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+      });
+    } catch (error) {
+      console.error('Error getting tags:', error);
+      return [];
+    }
+  }
+
+  // Rename a tag on every task. Renaming to an existing tag merges both.
+  async renameTag(oldName, newName) {
+    try {
+      const from = Utils.String.normalizeTag(oldName);
+      const to = Utils.String.normalizeTag(newName);
+      if (!from) return 0;
+      
+      const tasks = await this.getTasks({ tag: from, trash: 'include' });
+      
+      for (const task of tasks) {
+        task.tags = task.tags.map(tag => tag === from ? to : tag).filter(Boolean);
+        await this.saveTask(task);
+      }
+      
+      await this.trackEvent(to ? 'tag_renamed' : 'tag_deleted', {
+        from,
+        to,
+        tasksCount: tasks.length
+      });
+      
+      return tasks.length;
+    } catch (error) {
+      console.error('Error renaming tag:', error);
+      throw error;
+    }
+  }
+
+  async mergeTags(sourceNames, targetName) {
+    let count = 0;
+    for (const source of sourceNames) {
+      if (Utils.String.normalizeTag(source) !== Utils.String.normalizeTag(targetName)) {
+        count += await this.renameTag(source, targetName);
+      }
+    }
+    return count;
+  }
+
+  async deleteTag(name) {
+    return this.renameTag(name, '');
+  }
+
+  // Settings management
+  async getSetting(key, defaultValue = null) {
+    try {
+      const setting = await this.getFromStore(this.stores.settings, key);
+      return setting ? setting.value : defaultValue;
+    } catch (error) {
+      console.error('Error getting setting:', error);
+      return defaultValue;
+    }
+  }
+
+  async setSetting(key, value) {
+    try {
+      await this.saveToStore(this.stores.settings, { key, value });
+      return true;
+    } catch (error) {
+      console.error('Error setting setting:', error);
+      return false;
+    }
+  }
+
+  // Analytics tracking
+  createEvent(type, data = {}) {
+    return {
+      id: Utils.String.generateId(),
+      type,
+      data,
+      date: Utils.Date.now().toISOString(),
+      timestamp: Date.now()
+    };
+  }
+
+  async trackEvent(type, data = {}) {
+    try {
+      const event = this.createEvent(type, data);
+      
+      await this.saveToStore(this.stores.analytics, event);
+      
+      return true;
+    } catch (error) {
+      console.error('Error tracking event:', error);
+      return false;
+    }
+  }
+
+  async getAnalytics(filters = {}) {
+    try {
+      let events = await this.getFromStore(this.stores.analytics);
+      
+      if (!Array.isArray(events)) {
+        events = events ? [events] : [];
+      }
+
+      // Apply filters
+      if (filters.type) {
+        events = events.filter(event => event.type === filters.type);
+      }
+      
+      if (filters.startDate) {
+        events = events.filter(event => 
+          new Date(event.date) >= new Date(filters.startDate)
+        );
+      }
+      
+      if (filters.endDate) {
+        events = events.filter(event => 
+          new Date(event.date) <= new Date(filters.endDate)
+        );
+      }
+
+      return events;
+    } catch (error) {
+      console.error('Error getting analytics:', error);
+      return [];
+    }
+  }
+
+  // Data export/import
+  async exportData() {
+    try {
+      const data = {
+        tasks: await this.getTasks({ trash: 'include' }),
+        projects: await this.getProjects({ includeArchived: true }),
+        settings: await this.getAllSettings(),
+        analytics: await this.getAnalytics(),
+        exportDate: Utils.Date.now().toISOString(),
+        version: this.dbVersion
+      };
+      
+      return JSON.stringify(data, null, 2);
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      throw error;
+    }
+  }
+
+  async importData(jsonData) {
+    try {
+      const data = JSON.parse(jsonData);
+      
+      // Validate data structure
+      if (!data.tasks || !Array.isArray(data.tasks)) {
+        throw new Error('Invalid data format: tasks not found');
+      }
+      
+      // Import projects
+      if (Array.isArray(data.projects)) {
+        for (const project of data.projects) {
+          await this.saveProject(project);
+        }
+      }
+      
+      // Import tasks
+      for (const task of data.tasks) {
+        await this.saveTask(task);
+      }
+      
+      // Import settings
+      if (data.settings) {
+        for (const [key, value] of Object.entries(data.settings)) {
+          await this.setSetting(key, value);
+        }
+      }
+      
+      // Track import
+      await this.trackEvent('data_imported', {
+        tasksCount: data.tasks.length,
+        importDate: data.exportDate
+      });
+      
+      return true;
+    } catch (error) {
+      console.error('Error importing data:', error);
+      throw error;
+    }
+  }
+
+  // Pairs each task read from an .ics file with the task it was imported as (same UID) or
+  // exported from, so re-importing a file updates tasks instead of duplicating them
+  async matchCalendarTasks(items) {
+    const tasks = await this.getTasks({ trash: 'include' });
+    const byUid = new Map();
+
+    // Should several tasks share a UID, the open end of a series wins over its completed occurrences
+    tasks.forEach(task => {
+      const uid = Utils.ICal.getUid(task);
+      const current = byUid.get(uid);
+      if (!current || (current.nextOccurrenceId && !task.nextOccurrenceId)) byUid.set(uid, task);
+    });
+
+    return items.map(item => ({ item, task: byUid.get(item.icalUid) || null }));
+  }
+
+  // Saves the matches from matchCalendarTasks; fields the file doesn't carry (reminders,
+  // subtasks, time spent...) are kept. Tasks in the trash are left there, not updated.
+  // Returns the ids of created, updated, unchanged and trashed tasks.
+  async importCalendarTasks(matches) {
+    try {
+      const fields = ['title', 'description', 'category', 'tags', 'priority', 'status', 'dueDate', 'dueTime', 'duration', 'recurrence'];
+      const result = { created: [], updated: [], unchanged: [], trashed: [] };
+      const writes = [];
+
+      for (const { item, task } of matches) {
+        if (task?.deletedAt) {
+          result.trashed.push(task.id);
+          continue;
+        }
+
+        const imported = { ...item };
+
+        if (task) {
+          // Exports count the series from the task's occurrence (see Utils.ICal.toRRule)
+          if (imported.recurrence && task.recurrence) {
+            const occurrence = task.recurrence.occurrence || 1;
+            if (imported.recurrence.count) imported.recurrence.count += occurrence - 1;
+            imported.recurrence.occurrence = occurrence;
+          }
+          if (task.status === 'completed' && imported.status === 'completed') {
+            imported.completedAt = task.completedAt;
+          }
+        }
+
+        const prepared = this.prepareTask({ ...(task || {}), ...imported });
+        if (prepared.status !== 'completed') prepared.completedAt = null;
+
+        if (!task) {
+          result.created.push(prepared.id);
+        } else if (fields.some(field => JSON.stringify(prepared[field]) !== JSON.stringify(task[field]))) {
+          result.updated.push(prepared.id);
+        } else {
+          result.unchanged.push(prepared.id);
+          continue;
+        }
+        writes.push(prepared);
+      }
+
+      const events = writes.map(task => this.createEvent('task_saved', {
+        taskId: task.id,
+        category: task.category,
+        priority: task.priority
+      }));
+      events.push(this.createEvent('tasks_imported', {
+        source: 'ics',
+        created: result.created.length,
+        updated: result.updated.length,
+        unchanged: result.unchanged.length,
+        trashed: result.trashed.length
+      }));
+
+      await this.saveTasksBulk(writes, events);
+      return result;
+    } catch (error) {
+      console.error('Error importing calendar tasks:', error);
+      throw error;
+    }
+  }
+
+  async getAllSettings() {
+    try {
+      const settings = await this.getFromStore(this.stores.settings);
+      const result = {};
+      
+      if (Array.isArray(settings)) {
+        settings.forEach(setting => {
+          result[setting.key] = setting.value;
+        });
+      }
+      
+      return result;
+    } catch (error) {
+      console.error('Error getting all settings:', error);
+      return {};
     }
   }
 
@@ -496,6 +1498,25 @@ class StorageManager {
       
       console.log(`Cleaned up ${oldEvents.length} old analytics events`);
       
+      // Empty trashed tasks past the retention period
+      const retentionDays = await this.getSetting('trashRetentionDays', 30);
+      const purged = await this.purgeTrash(retentionDays);
+      
+      console.log(`Purged ${purged} tasks from the trash`);
+      
+      // Forget reminder deliveries older than 90 days
+      const removed = await this.deleteReminderDeliveries(90);
+      
+      console.log(`Removed ${removed} old reminder deliveries`);
+      
+      // Notification centre keeps 30 days
+      const oldNotifications = (await this.getNotificationHistory())
+        .filter(record => new Date(record.createdAt) < thirtyDaysAgo);
+      
+      for (const record of oldNotifications) {
+        await this.deleteFromStore(this.stores.notificationHistory, record.id);
+      }
+      
       return true;
     } catch (error) {
       console.error('Error cleaning up old data:', error);
@@ -503,6 +1524,182 @@ class StorageManager {
     }
   }
 
+  // Raises overdue tasks one priority level per `days` days late. Each step is
+  // recorded as a delivery, so lowering the priority by hand afterwards sticks.
+  async escalateOverdueTasks(days) {
+    if (!days) return [];
+    
+    try {
+      const levels = ['baixa', 'media', 'alta'];
+      const tasks = await this.getTasks({ status: ['pending', 'in_progress'] });
+      const now = Utils.Date.now();
+      const raised = [];
+      
+      for (const task of tasks) {
+        const dueDate = Utils.Date.getDueDateTime(task.dueDate, task.dueTime);
+        if (!dueDate || dueDate >= now) continue;
+        
+        const dueKey = `${task.dueDate}T${task.dueTime || 'all-day'}`;
+        const daysOverdue = Math.floor((now - dueDate) / (1000 * 60 * 60 * 24));
+        let newSteps = 0;
+        
+        for (let step = 1; step <= Math.floor(daysOverdue / days); step++) {
+          const deliveryId = `${task.id}:escalate:${dueKey}:${step}`;
+          if (await this.getReminderDelivery(deliveryId)) continue;
+          
+          await this.recordReminderDelivery({
+            id: deliveryId,
+            taskId: task.id,
+            reminderId: null,
+            kind: 'escalation',
+            dueKey,
+            scheduledAt: new Date(dueDate.getTime() + step * days * 24 * 60 * 60 * 1000).toISOString()
+          });
+          newSteps++;
+        }
+        
+        const index = levels.indexOf(task.priority);
+        if (newSteps === 0 || index < 0 || index === levels.length - 1) continue;
+        
+        const previous = task.priority;
+        // The user's own priority, put back on the next occurrence of a recurring task
+        task.basePriority = task.basePriority || previous;
+        task.priority = levels[Math.min(index + newSteps, levels.length - 1)];
+        await this.saveTask(task);
+        await this.trackEvent('task_escalated', { taskId: task.id, from: previous, to: task.priority, daysOverdue });
+        raised.push(task);
+      }
+      
+      return raised;
+    } catch (error) {
+      console.error('Error escalating overdue tasks:', error);
+      return [];
+    }
+  }
+
+  // Reminder deliveries: which reminder was shown for which due moment
+  async getReminderDelivery(id) {
+    try {
+      return await this.getFromStore(this.stores.reminderDeliveries, id) || null;
+    } catch (error) {
+      console.error('Error getting reminder delivery:', error);
+      return null;
+    }
+  }
+
+  async getReminderDeliveries(taskId) {
+    try {
+      return await this.queryStore(this.stores.reminderDeliveries, 'taskId', taskId) || [];
+    } catch (error) {
+      console.error('Error getting reminder deliveries:', error);
+      return [];
+    }
+  }
+
+  async recordReminderDelivery(delivery) {
+    try {
+      const record = {
+        ...delivery,
+        deliveredAt: delivery.deliveredAt || Utils.Date.now().toISOString()
+      };
+      await this.saveToStore(this.stores.reminderDeliveries, record);
+      return record;
+    } catch (error) {
+      console.error('Error recording reminder delivery:', error);
+      return null;
+    }
+  }
+
+  async deleteReminderDeliveries(days) {
+    try {
+      const cutoff = Utils.Date.now();
+      cutoff.setDate(cutoff.getDate() - days);
+      
+      let deliveries = await this.getFromStore(this.stores.reminderDeliveries);
+      if (!Array.isArray(deliveries)) {
+        deliveries = deliveries ? [deliveries] : [];
+      }
+      
+      const old = deliveries.filter(delivery => new Date(delivery.deliveredAt) < cutoff);
+      for (const delivery of old) {
+        await this.deleteFromStore(this.stores.reminderDeliveries, delivery.id);
+      }
+      
+      return old.length;
+    } catch (error) {
+      console.error('Error deleting reminder deliveries:', error);
+      return 0;
+    }
+  }
+
+  // Notification centre: every notification and toast shown, newest first
+  async addNotificationRecord(record) {
+    try {
+      const entry = {
+        id: Utils.String.generateId(),
+        type: 'generic',
+        title: '',
+        body: '',
+        taskId: null,
+        page: null,
+        read: false,
+        createdAt: Utils.Date.now().toISOString(),
+        ...record
+      };
+      await this.saveToStore(this.stores.notificationHistory, entry);
+      return entry;
+    } catch (error) {
+      console.error('Error adding notification record:', error);
+      return null;
+    }
+  }
+
+  async getNotificationHistory(limit = null) {
+    try {
+      let records = await this.getFromStore(this.stores.notificationHistory);
+      if (!Array.isArray(records)) {
+        records = records ? [records] : [];
+      }
+      
+      records.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+      return limit ? records.slice(0, limit) : records;
+    } catch (error) {
+      console.error('Error getting notification history:', error);
+      return [];
+    }
+  }
+
+  // Marks the given records (or all of them) as read; returns how many changed
+  async markNotificationsRead(ids = null) {
+    try {
+      const records = (await this.getNotificationHistory())
+        .filter(record => !record.read && (!ids || ids.includes(record.id)));
+      
+      for (const record of records) {
+        await this.saveToStore(this.stores.notificationHistory, { ...record, read: true });
+      }
+      
+      return records.length;
+    } catch (error) {
+      console.error('Error marking notifications read:', error);
+      return 0;
+    }
+  }
+
+  async clearNotificationHistory() {
+    try {
+      const records = await this.getNotificationHistory();
+      for (const record of records) {
+        await this.deleteFromStore(this.stores.notificationHistory, record.id);
+      }
+      
+      return records.length;
+    } catch (error) {
+      console.error('Error clearing notification history:', error);
+      return 0;
+    }
+  }
+
   // Sync queue for offline functionality
   addToSyncQueue(operation) {
     this.syncQueue.push({
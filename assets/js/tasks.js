@@ -8,8 +8,20 @@ class TaskManager {
     this.currentTasks = [];
     this.currentFilter = 'all';
     this.currentSort = 'priority';
+    this.sortSettings = { list: 'priority', board: 'priority' };
+    this.draggedTaskId = null;
+    this.selectionMode = false;
+    this.selectedTaskIds = new Set();
+    this.lastSelectedId = null;
+    this.visibleTaskIds = [];
+    this.expandedSubtasks = new Set();
+    this.currentTag = '';
+    this.formTags = [];
+    this.formReminders = [];
+    this.allTags = [];
     
     this.bindEvents();
+    this.loadSortSettings();
     this.loadTasks();
   }
 
@@ -32,6 +44,106 @@ class TaskManager {
       });
     }
 
+    // Sort mode change
+    const taskSort = Utils.DOM.$('#taskSort');
+    if (taskSort) {
+      taskSort.addEventListener('change', (e) => {
+        this.setSort(e.target.value);
+      });
+    }
+
+    // Manual ordering: drag the handle of a task, or use the arrow keys on it
+    const tasksList = Utils.DOM.$('#tasksList');
+    if (tasksList) {
+      this.bindReorderEvents(tasksList);
+    }
+
+    // Tag filter change
+    const tagFilter = Utils.DOM.$('#tagFilter');
+    if (tagFilter) {
+      tagFilter.addEventListener('change', (e) => {
+        this.currentTag = e.target.value;
+        this.renderTasks();
+      });
+    }
+
+    // Tag input: Enter or comma adds a tag, Backspace on empty input removes the last one
+    const tagInput = Utils.DOM.$('#taskTags');
+    if (tagInput) {
+      tagInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ',') {
+          e.preventDefault();
+          this.addFormTag(tagInput.value);
+          tagInput.value = '';
+        } else if (e.key === 'Backspace' && !tagInput.value && this.formTags.length > 0) {
+          this.formTags.pop();
+          this.renderFormTags();
+        }
+      });
+      
+      // Picking a suggestion from the datalist
+      tagInput.addEventListener('change', () => {
+        if (this.allTags.some(tag => tag.name === tagInput.value)) {
+          this.addFormTag(tagInput.value);
+          tagInput.value = '';
+        }
+      });
+    }
+
+    // Recurrence editor
+    ['#taskRecurrence', '#recurrenceInterval', '#recurrenceMonthlyMode', '#recurrenceEnd', '#recurrenceUntil', '#recurrenceCount', '#taskDueDate']
+      .forEach(selector => {
+        const input = Utils.DOM.$(selector);
+        if (input) {
+          input.addEventListener('change', () => this.updateRecurrenceEditor());
+        }
+      });
+    Utils.DOM.$$('#recurrenceWeekdays input').forEach(input => {
+      input.addEventListener('change', () => this.updateRecurrenceEditor());
+    });
+
+    // All-day toggle shows or hides the time fields
+    const allDayToggle = Utils.DOM.$('#taskAllDay');
+    if (allDayToggle) {
+      allDayToggle.addEventListener('change', () => this.updateDueTimeFields());
+    }
+
+    // Reminder editor
+    const reminderPreset = Utils.DOM.$('#reminderPreset');
+    if (reminderPreset) {
+      reminderPreset.addEventListener('change', () => {
+        const reminderAt = Utils.DOM.$('#reminderAt');
+        if (reminderAt) reminderAt.hidden = reminderPreset.value !== 'absolute';
+      });
+    }
+
+    const addReminderBtn = Utils.DOM.$('#addReminder');
+    if (addReminderBtn) {
+      addReminderBtn.addEventListener('click', () => this.addFormReminder());
+    }
+
+    ['#taskDueDate', '#taskAllDay', '#taskDueTime'].forEach(selector => {
+      Utils.DOM.$(selector)?.addEventListener('change', () => this.renderFormReminders());
+    });
+
+    // Calendar (.ics) import
+    const icsImport = Utils.DOM.$('#icsImportFile');
+    if (icsImport) {
+      icsImport.addEventListener('change', async () => {
+        const [file] = icsImport.files;
+        if (file) await this.importCalendarFile(file);
+        icsImport.value = '';
+      });
+    }
+
+    // Running trackers: keep the time shown on the list current
+    setInterval(() => this.refreshTimeLabels(), 30 * 1000);
+
+    // Quick add bars: live preview of what the phrase will become
+    Utils.DOM.$$('.quick-add-input').forEach(input => {
+      input.addEventListener('input', () => this.renderQuickAddPreview(input));
+    });
+
     // Quick create task button
     const quickCreateBtn = Utils.DOM.$('#quickCreateTask');
     if (quickCreateBtn) {
@@ -55,17 +167,205 @@ class TaskManager {
     });
   }
 
+  async loadSortSettings() {
+    try {
+      const saved = await Storage.getSetting('taskSort', {});
+      this.sortSettings = { ...this.sortSettings, ...saved };
+      this.renderTasks();
+    } catch (error) {
+      console.error('Error loading sort settings:', error);
+    }
+  }
+
+  // The sort is remembered separately for the list and the board
+  getSortView() {
+    return window.Board && Board.isActive() ? 'board' : 'list';
+  }
+
+  async setSort(sort) {
+    this.sortSettings[this.getSortView()] = sort;
+    this.renderTasks();
+
+    try {
+      await Storage.setSetting('taskSort', this.sortSettings);
+    } catch (error) {
+      console.error('Error saving sort settings:', error);
+    }
+  }
+
+  bindReorderEvents(container) {
+    let dropped = false;
+
+    container.addEventListener('dragstart', (e) => {
+      if (!e.target.classList?.contains('task-drag-handle')) return;
+
+      const item = e.target.closest('.task-item');
+      this.draggedTaskId = item.dataset.taskId;
+      dropped = false;
+      item.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', this.draggedTaskId);
+      e.dataTransfer.setDragImage(item, 0, 0);
+    });
+
+    // Move the dragged item in the DOM as it passes over others
+    container.addEventListener('dragover', (e) => {
+      if (!this.draggedTaskId) return;
+      e.preventDefault();
+
+      const dragged = Utils.DOM.$(`.task-item[data-task-id="${this.draggedTaskId}"]`, container);
+      const target = e.target.closest('.task-item');
+      if (!dragged || !target || target === dragged) return;
+
+      const rect = target.getBoundingClientRect();
+      const after = e.clientY > rect.top + rect.height / 2;
+      container.insertBefore(dragged, after ? target.nextSibling : target);
+    });
+
+    container.addEventListener('drop', (e) => {
+      if (!this.draggedTaskId) return;
+      e.preventDefault();
+      dropped = true;
+      this.saveListOrder(this.draggedTaskId);
+    });
+
+    container.addEventListener('dragend', () => {
+      Utils.DOM.$('.task-item.dragging', container)?.classList.remove('dragging');
+      this.draggedTaskId = null;
+
+      // Cancelled drags put the list back the way it was
+      if (!dropped) this.renderTasks();
+    });
+
+    container.addEventListener('keydown', (e) => {
+      if (!e.target.classList?.contains('task-drag-handle')) return;
+      if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+
+      e.preventDefault();
+      const item = e.target.closest('.task-item');
+      const sibling = e.key === 'ArrowUp' ? item.previousElementSibling : item.nextElementSibling;
+      if (!sibling?.classList.contains('task-item')) return;
+
+      container.insertBefore(item, e.key === 'ArrowUp' ? sibling : sibling.nextSibling);
+      this.saveListOrder(item.dataset.taskId, true);
+    });
+  }
+
+  async saveListOrder(taskId, refocus = false) {
+    const orderedIds = Utils.DOM.$$('#tasksList .task-item').map(item => item.dataset.taskId);
+
+    const saved = await Storage.reorderTask(taskId, orderedIds);
+    if (!saved) {
+      this.showToast('Erro ao reordenar tarefa', 'danger');
+    }
+
+    await this.loadTasks();
+
+    if (refocus) {
+      Utils.DOM.$(`.task-item[data-task-id="${taskId}"] .task-drag-handle`)?.focus();
+    }
+  }
+
   async loadTasks() {
     try {
       this.currentTasks = await Storage.getTasks();
+      
+      // Drop selected tasks that no longer exist (deleted, undone...)
+      const taskIds = new Set(this.currentTasks.map(task => task.id));
+      this.selectedTaskIds.forEach(id => {
+        if (!taskIds.has(id)) this.selectedTaskIds.delete(id);
+      });
+      await this.loadTags();
       this.renderTasks();
       this.updateDashboardStats();
+      
+      if (window.Notifications) {
+        Notifications.updateAppBadge(this.currentTasks);
+      }
+      
+      // Project counts depend on the loaded tasks
+      if (window.Projects) {
+        Projects.renderSelector();
+      }
+      
+      if (window.Calendar) {
+        Calendar.render();
+      }
     } catch (error) {
       console.error('Error loading tasks:', error);
       this.showToast('Erro ao carregar tarefas', 'danger');
     }
   }
 
+  // Quick add
+  renderQuickAddPreview(input) {
+    const preview = input.closest('.quick-add')?.querySelector('.quick-add-preview');
+    if (!preview) return;
+
+    if (!input.value.trim()) {
+      preview.innerHTML = '';
+      return;
+    }
+
+    const parsed = Utils.QuickAdd.parse(input.value);
+    const category = parsed.category ? Utils.Angola.getCategory(parsed.category) : null;
+    const dueDate = Utils.Date.parseISODate(parsed.dueDate);
+    const chips = [
+      `<span class="quick-add-chip title">📝 ${parsed.title ? Utils.String.sanitizeHtml(parsed.title) : '<em>sem título</em>'}</span>`,
+      dueDate ? `<span class="quick-add-chip">📅 ${Utils.Date.getRelativeTime(dueDate, true)} (${Utils.Date.formatDate(dueDate)})</span>` : '',
+      parsed.dueTime ? `<span class="quick-add-chip">⏰ ${parsed.dueTime}</span>` : '',
+      category ? `<span class="quick-add-chip" style="background-color: ${category.color}; color: white">${category.icon} ${category.name}</span>` : '',
+      parsed.priority ? `<span class="quick-add-chip task-priority ${parsed.priority}">${this.getPriorityIcon(parsed.priority)} ${Utils.String.capitalize(parsed.priority)}</span>` : '',
+      ...parsed.tags.map(tag => `<span class="quick-add-chip task-tag">#${Utils.String.sanitizeHtml(tag)}</span>`)
+    ];
+
+    preview.innerHTML = chips.join('');
+  }
+
+  async quickAdd(form) {
+    const input = form.querySelector('.quick-add-input');
+    const parsed = Utils.QuickAdd.parse(input.value);
+
+    if (!parsed.title) {
+      this.showToast('Escreva o título da tarefa', 'warning');
+      input.focus();
+      return;
+    }
+
+    try {
+      const projectId = window.Projects && !['all', 'none'].includes(Projects.currentProjectId) ?
+        Projects.currentProjectId : null;
+
+      const task = await TaskHistory.record('Criar tarefa', [], async () => {
+        const savedTask = await Storage.saveTask({
+          title: parsed.title,
+          description: '',
+          category: parsed.category || 'pessoal',
+          priority: parsed.priority || 'media',
+          dueDate: parsed.dueDate,
+          dueTime: parsed.dueTime,
+          tags: parsed.tags,
+          projectId,
+          status: 'pending'
+        });
+        return [savedTask.id];
+      });
+
+      input.value = '';
+      this.renderQuickAddPreview(input);
+      await this.loadTasks();
+
+      this.showUndoToast(`Tarefa "${parsed.title}" criada`);
+      await Storage.trackEvent('task_quick_added', {
+        taskId: task[0],
+        matched: parsed.matches.map(match => match.type)
+      });
+    } catch (error) {
+      console.error('Error in quick add:', error);
+      this.showToast('Erro ao criar tarefa', 'danger');
+    }
+  }
+
   async handleTaskSubmit() {
     try {
       const formData = this.getTaskFormData();
@@ -79,12 +379,24 @@ class TaskManager {
 
       // Check if editing existing task
       const taskId = Utils.DOM.$('#taskModal').dataset.editingTask;
+      let taskData = formData;
       if (taskId) {
-        formData.id = taskId;
+        // Keep fields the form doesn't edit (status, createdAt, series info...)
+        const existingTask = await Storage.getTask(taskId);
+        taskData = { ...existingTask, ...formData, id: taskId, status: existingTask?.status || 'pending' };
+
+        // A priority set by hand replaces the one overdue escalation raised from
+        if (existingTask?.basePriority && formData.priority !== existingTask.priority) {
+          taskData.basePriority = null;
+        }
       }
 
       // Save task
-      const savedTask = await Storage.saveTask(formData);
+      let savedTask;
+      await TaskHistory.record(taskId ? 'Editar tarefa' : 'Criar tarefa', taskId ? [taskId] : [], async () => {
+        savedTask = await Storage.saveTask(taskData);
+        return [savedTask.id];
+      });
       
       // Update UI
       await this.loadTasks();
@@ -92,7 +404,7 @@ class TaskManager {
       
       // Show success message
       const message = taskId ? 'Tarefa atualizada com sucesso!' : 'Tarefa criada com sucesso!';
-      this.showToast(message, 'success');
+      this.showUndoToast(message);
       
       // Track analytics
       await Storage.trackEvent(taskId ? 'task_updated' : 'task_created', {
@@ -112,12 +424,344 @@ class TaskManager {
       title: Utils.DOM.$('#taskTitle')?.value?.trim() || '',
       description: Utils.DOM.$('#taskDescription')?.value?.trim() || '',
       category: Utils.DOM.$('#taskCategory')?.value || 'outros',
+      projectId: Utils.DOM.$('#taskProject')?.value || null,
       priority: Utils.DOM.$('#taskPriority')?.value || 'media',
+      estimate: parseInt(Utils.DOM.$('#taskEstimate')?.value, 10) || null,
       dueDate: Utils.DOM.$('#taskDueDate')?.value || null,
+      ...this.getDueTimeFormData(),
+      tags: [...this.formTags, Utils.DOM.$('#taskTags')?.value].filter(Boolean),
+      reminders: this.formReminders,
+      recurrence: this.getRecurrenceFormData(),
       status: 'pending'
     };
   }
 
+  // Due time: "Dia inteiro" hides the time and duration fields
+  getDueTimeFormData() {
+    const allDay = Utils.DOM.$('#taskAllDay')?.checked !== false;
+    const dueTime = Utils.DOM.$('#taskDueTime')?.value || null;
+
+    return {
+      dueTime: allDay ? null : dueTime,
+      duration: allDay || !dueTime ? null : parseInt(Utils.DOM.$('#taskDuration')?.value, 10) || null,
+      allDay: allDay || !dueTime
+    };
+  }
+
+  updateDueTimeFields() {
+    const allDay = Utils.DOM.$('#taskAllDay')?.checked !== false;
+    const options = Utils.DOM.$('#taskTimeOptions');
+    if (options) options.hidden = allDay;
+
+    // A time is only meaningful with a date
+    const timeInput = Utils.DOM.$('#taskDueTime');
+    if (!allDay && timeInput && !timeInput.value) {
+      timeInput.value = '09:00';
+    }
+  }
+
+  getDueLabel(task) {
+    const dueAt = Utils.Date.getDueDateTime(task.dueDate, task.dueTime);
+    if (!dueAt) return '';
+
+    const relative = Utils.Date.getRelativeTime(dueAt, !task.dueTime);
+    if (!task.dueTime) return relative;
+
+    // Today's times already read "em 2 horas"; other days get the clock time
+    const label = Utils.Date.isToday(dueAt) ? `${relative} (${task.dueTime})` : `${relative} às ${task.dueTime}`;
+    return task.duration ? `${label} · ${Utils.Date.formatDuration(task.duration)}` : label;
+  }
+
+  // Overdue once the due time passes; all-day tasks at the end of their day
+  isOverdue(task) {
+    if (!task.dueDate || task.status === 'completed' || task.status === 'archived') return false;
+    return Utils.Date.getDueDateTime(task.dueDate, task.dueTime) < Utils.Date.now();
+  }
+
+  // Tags
+  async loadTags() {
+    this.allTags = await Storage.getAllTags();
+
+    const suggestions = Utils.DOM.$('#tagSuggestions');
+    if (suggestions) {
+      suggestions.innerHTML = this.allTags
+        .map(tag => `<option value="${Utils.String.escapeAttribute(tag.name)}"></option>`)
+        .join('');
+    }
+
+    const tagFilter = Utils.DOM.$('#tagFilter');
+    if (tagFilter) {
+      // Drop the filter if its tag no longer exists
+      if (this.currentTag && !this.allTags.some(tag => tag.name === this.currentTag)) {
+        this.currentTag = '';
+      }
+
+      tagFilter.innerHTML = `
+        <option value="">Todas as etiquetas</option>
+        ${this.allTags.map(tag => `
+          <option value="${Utils.String.escapeAttribute(tag.name)}">#${Utils.String.sanitizeHtml(tag.name)} (${tag.count})</option>
+        `).join('')}
+      `;
+      tagFilter.value = this.currentTag;
+    }
+  }
+
+  addFormTag(value) {
+    const tag = Utils.String.normalizeTag(value);
+    if (tag && !this.formTags.includes(tag)) {
+      this.formTags.push(tag);
+      this.renderFormTags();
+    }
+  }
+
+  removeFormTag(tag) {
+    this.formTags = this.formTags.filter(item => item !== tag);
+    this.renderFormTags();
+  }
+
+  renderFormTags() {
+    const container = Utils.DOM.$('#taskTagChips');
+    if (!container) return;
+
+    container.innerHTML = this.formTags.map(tag => `
+      <span class="task-tag">
+        #${Utils.String.sanitizeHtml(tag)}
+        <button type="button" class="tag-remove" onclick="Tasks.removeFormTag('${Utils.String.escapeAttribute(tag)}')"
+                aria-label="Remover etiqueta">&times;</button>
+      </span>
+    `).join('');
+  }
+
+  // Reminders
+  addFormReminder() {
+    const preset = Utils.DOM.$('#reminderPreset')?.value;
+    let reminder;
+
+    if (preset === 'absolute') {
+      const at = Utils.DOM.$('#reminderAt')?.value;
+      if (!at) {
+        this.showToast('Escolha a data e a hora do lembrete', 'warning');
+        return;
+      }
+      reminder = { type: 'absolute', at: at.substr(0, 16) };
+    } else {
+      reminder = { type: 'relative', offset: parseInt(preset, 10) || 0 };
+    }
+
+    const duplicate = this.formReminders.some(item => item.type === reminder.type &&
+      (reminder.type === 'absolute' ? item.at === reminder.at : item.offset === reminder.offset));
+    if (duplicate) return;
+
+    this.formReminders = Storage.normalizeReminders([...this.formReminders, reminder]);
+    this.renderFormReminders();
+  }
+
+  removeFormReminder(id) {
+    this.formReminders = this.formReminders.filter(reminder => reminder.id !== id);
+    this.renderFormReminders();
+  }
+
+  renderFormReminders() {
+    const container = Utils.DOM.$('#taskReminderChips');
+    if (!container || !window.Notifications) return;
+
+    // Closest to the due moment first, fixed date-times last
+    const reminders = [...this.formReminders].sort((a, b) =>
+      (a.type === 'absolute') - (b.type === 'absolute') || (a.offset || 0) - (b.offset || 0) || String(a.at).localeCompare(String(b.at))
+    );
+
+    container.innerHTML = reminders.map(reminder => `
+      <span class="task-tag reminder-chip">
+        🔔 ${Notifications.describeReminder(reminder)}
+        <button type="button" class="tag-remove" onclick="Tasks.removeFormReminder('${reminder.id}')"
+                aria-label="Remover lembrete">&times;</button>
+      </span>
+    `).join('');
+
+    const hint = Utils.DOM.$('#reminderHint');
+    if (hint) {
+      const { dueTime } = this.getDueTimeFormData();
+      const hasDueDate = !!Utils.DOM.$('#taskDueDate')?.value;
+      const hasRelative = this.formReminders.some(reminder => reminder.type === 'relative');
+
+      if (!hasDueDate && (hasRelative || this.formReminders.length === 0)) {
+        hint.textContent = 'Os lembretes antes do vencimento precisam de uma data de vencimento.';
+      } else if (this.formReminders.length === 0) {
+        hint.textContent = dueTime ?
+          `Sem lembretes próprios: aplica-se o padrão (${Notifications.describeReminder({ type: 'relative', offset: Notifications.settings.reminderTime })}).` :
+          `Sem lembretes próprios: aplica-se o padrão (no dia, às ${Notifications.settings.allDayReminderTime}).`;
+      } else if (!dueTime && hasRelative) {
+        hint.textContent = `Em tarefas de dia inteiro, os lembretes contam a partir das ${Notifications.settings.allDayReminderTime} do dia.`;
+      } else {
+        hint.textContent = '';
+      }
+    }
+  }
+
+  filterByTag(tag) {
+    this.currentTag = tag;
+    const tagFilter = Utils.DOM.$('#tagFilter');
+    if (tagFilter) tagFilter.value = tag;
+    this.renderTasks();
+  }
+
+  showTagManager() {
+    const rows = this.allTags.map(tag => `
+      <li class="tag-manager-item">
+        <span class="task-tag">#${Utils.String.sanitizeHtml(tag.name)}</span>
+        <span class="tag-manager-count">${tag.count} tarefa(s)</span>
+        <input type="text" class="form-control" value="${Utils.String.escapeAttribute(tag.name)}"
+               aria-label="Novo nome da etiqueta" data-tag="${Utils.String.escapeAttribute(tag.name)}">
+        <button class="btn btn-secondary btn-sm" onclick="Tasks.renameTag(this.previousElementSibling)">Renomear</button>
+        <button class="btn btn-ghost btn-sm" onclick="Tasks.deleteTag(this.parentElement.querySelector('input').dataset.tag)"
+                title="Remover etiqueta de todas as tarefas">🗑️</button>
+      </li>
+    `).join('');
+
+    App.showModal('Gerir Etiquetas', this.allTags.length === 0 ? `
+      <div class="empty-state">
+        <span class="empty-icon">🏷️</span>
+        <p>Ainda não há etiquetas. Adicione etiquetas ao criar ou editar tarefas.</p>
+      </div>
+    ` : `
+      <p class="form-text">Renomear para o nome de uma etiqueta existente junta as duas.</p>
+      <ul class="tag-manager-list">${rows}</ul>
+    `);
+  }
+
+  async renameTag(input) {
+    const oldName = input?.dataset.tag;
+    const newName = Utils.String.normalizeTag(input?.value);
+    if (!oldName || !newName || oldName === newName) return;
+
+    try {
+      const merged = this.allTags.some(tag => tag.name === newName);
+      const count = await Storage.renameTag(oldName, newName);
+
+      if (this.currentTag === oldName) {
+        this.currentTag = newName;
+      }
+
+      await this.loadTasks();
+      this.showTagManager();
+      this.showToast(merged ?
+        `Etiqueta #${oldName} junta a #${newName} (${count} tarefas)` :
+        `Etiqueta renomeada para #${newName}`, 'success');
+    } catch (error) {
+      console.error('Error renaming tag:', error);
+      this.showToast('Erro ao renomear etiqueta', 'danger');
+    }
+  }
+
+  async deleteTag(name) {
+    if (!confirm(`Remover a etiqueta #${name} de todas as tarefas?`)) {
+      return;
+    }
+
+    try {
+      await Storage.deleteTag(name);
+      await this.loadTasks();
+      this.showTagManager();
+      this.showToast(`Etiqueta #${name} removida`, 'success');
+    } catch (error) {
+      console.error('Error deleting tag:', error);
+      this.showToast('Erro ao remover etiqueta', 'danger');
+    }
+  }
+
+  getRecurrenceFormData() {
+    const freq = Utils.DOM.$('#taskRecurrence')?.value;
+    if (!freq) return null;
+
+    const dueDate = Utils.Date.parseISODate(Utils.DOM.$('#taskDueDate')?.value) || Utils.Date.now();
+    const rule = {
+      freq,
+      interval: Utils.DOM.$('#recurrenceInterval')?.value || 1
+    };
+
+    if (freq === 'weekly') {
+      rule.byWeekday = Utils.DOM.$$('#recurrenceWeekdays input:checked').map(input => input.value);
+    }
+
+    if (freq === 'monthly') {
+      const mode = Utils.DOM.$('#recurrenceMonthlyMode')?.value || 'day';
+      if (mode === 'day') {
+        rule.monthlyMode = 'day';
+        rule.byMonthDay = dueDate.getDate();
+      } else {
+        rule.monthlyMode = 'weekday';
+        rule.byWeekday = [dueDate.getDay()];
+        rule.bySetPos = mode === 'last' ? -1 : Utils.Recurrence.getSetPos(dueDate);
+      }
+    }
+
+    if (freq === 'yearly') {
+      rule.byMonthDay = dueDate.getDate();
+    }
+
+    const end = Utils.DOM.$('#recurrenceEnd')?.value;
+    if (end === 'until') {
+      rule.until = Utils.DOM.$('#recurrenceUntil')?.value || null;
+    } else if (end === 'count') {
+      rule.count = Utils.DOM.$('#recurrenceCount')?.value || null;
+    }
+
+    // Editing keeps the position in the series
+    const taskId = Utils.DOM.$('#taskModal')?.dataset.editingTask;
+    const existing = taskId && this.currentTasks.find(task => task.id === taskId);
+    if (existing?.recurrence) {
+      rule.occurrence = existing.recurrence.occurrence;
+
+      // ...and, while the due date stays put, the series' day (29 Feb on a 28 Feb occurrence)
+      if (rule.byMonthDay && existing.recurrence.byMonthDay && existing.dueDate?.substr(0, 10) === Utils.DOM.$('#taskDueDate')?.value) {
+        rule.byMonthDay = existing.recurrence.byMonthDay;
+      }
+    }
+
+    return Utils.Recurrence.normalize(rule);
+  }
+
+  populateRecurrenceForm(rule) {
+    Utils.DOM.$('#taskRecurrence').value = rule?.freq || '';
+    Utils.DOM.$('#recurrenceInterval').value = rule?.interval || 1;
+
+    Utils.DOM.$$('#recurrenceWeekdays input').forEach(input => {
+      input.checked = rule?.freq === 'weekly' && (rule.byWeekday || []).includes(parseInt(input.value, 10));
+    });
+
+    let monthlyMode = 'day';
+    if (rule?.monthlyMode === 'weekday') {
+      monthlyMode = rule.bySetPos === -1 ? 'last' : 'nth';
+    }
+    Utils.DOM.$('#recurrenceMonthlyMode').value = monthlyMode;
+
+    Utils.DOM.$('#recurrenceEnd').value = rule?.until ? 'until' : (rule?.count ? 'count' : 'never');
+    Utils.DOM.$('#recurrenceUntil').value = rule?.until || '';
+    Utils.DOM.$('#recurrenceCount').value = rule?.count || 10;
+
+    this.updateRecurrenceEditor();
+  }
+
+  updateRecurrenceEditor() {
+    const freq = Utils.DOM.$('#taskRecurrence')?.value;
+    const options = Utils.DOM.$('#recurrenceOptions');
+    if (!options) return;
+
+    options.hidden = !freq;
+    if (!freq) return;
+
+    const units = { daily: 'dias', weekly: 'semanas', monthly: 'meses', yearly: 'anos' };
+    Utils.DOM.$('#recurrenceUnit').textContent = units[freq];
+    Utils.DOM.$('#recurrenceWeekdays').hidden = freq !== 'weekly';
+    Utils.DOM.$('#recurrenceMonthly').hidden = freq !== 'monthly';
+
+    const end = Utils.DOM.$('#recurrenceEnd').value;
+    Utils.DOM.$('#recurrenceUntil').hidden = end !== 'until';
+    Utils.DOM.$('#recurrenceCount').hidden = end !== 'count';
+
+    Utils.DOM.$('#recurrenceSummary').textContent = Utils.Recurrence.describe(this.getRecurrenceFormData());
+  }
+
   validateTaskForm(data) {
     const errors = {};
     
@@ -140,6 +784,14 @@ class TaskManager {
       }
     }
 
+    if (data.dueTime && !data.dueDate) {
+      errors.dueDate = 'Indique a data para usar uma hora';
+    }
+
+    if (data.recurrence?.until && data.dueDate && data.recurrence.until < data.dueDate) {
+      errors.recurrence = 'A repetição deve terminar depois da data de vencimento';
+    }
+
     return {
       isValid: Object.keys(errors).length === 0,
       errors
@@ -176,7 +828,28 @@ class TaskManager {
     if (!container) return;
 
     // Filter tasks
-    const filteredTasks = this.filterTasks(this.currentTasks, this.currentFilter);
+    const projectId = window.Projects ? Projects.currentProjectId : 'all';
+    this.currentSort = this.sortSettings[this.getSortView()] || 'priority';
+    const taskSort = Utils.DOM.$('#taskSort');
+    if (taskSort) taskSort.value = this.currentSort;
+
+    const filteredTasks = Storage.sortTasks(
+      [...this.filterTasks(this.currentTasks, this.currentFilter, this.currentTag, projectId)],
+      this.currentSort
+    );
+
+    this.visibleTaskIds = filteredTasks.map(task => task.id);
+    this.renderSelectionBar();
+
+    // Board mode renders the same filtered tasks as columns
+    const board = Utils.DOM.$('#tasksBoard');
+    const boardActive = window.Board && Board.isActive();
+    container.hidden = boardActive;
+    if (board) board.hidden = !boardActive;
+    if (boardActive) {
+      Board.render(filteredTasks);
+      return;
+    }
 
     if (filteredTasks.length === 0) {
       this.renderEmptyState(container);
@@ -191,21 +864,32 @@ class TaskManager {
     });
   }
 
-  filterTasks(tasks, filter) {
+  filterTasks(tasks, filter, tag = '', projectId = 'all') {
+    if (projectId === 'none') {
+      tasks = tasks.filter(task => !task.projectId);
+    } else if (projectId && projectId !== 'all') {
+      tasks = tasks.filter(task => task.projectId === projectId);
+    }
+
+    if (tag) {
+      tasks = tasks.filter(task => (task.tags || []).includes(tag));
+    }
+
     switch (filter) {
       case 'pending':
         return tasks.filter(task => task.status === 'pending');
+      case 'in_progress':
+        return tasks.filter(task => task.status === 'in_progress');
       case 'completed':
         return tasks.filter(task => task.status === 'completed');
       case 'today':
         return tasks.filter(task => {
           if (!task.dueDate) return false;
-          return Utils.Date.isToday(new Date(task.dueDate));
+          return Utils.Date.isToday(Utils.Date.parseISODate(task.dueDate));
         });
       case 'overdue':
         return tasks.filter(task => {
-          if (!task.dueDate || task.status === 'completed') return false;
-          return new Date(task.dueDate) < Utils.Date.now();
+          return this.isOverdue(task);
         });
       default:
         return tasks;
@@ -214,16 +898,28 @@ class TaskManager {
 
   createTaskElement(task) {
     const category = Utils.Angola.getCategory(task.category);
-    const isOverdue = task.dueDate && task.status !== 'completed' && 
-                     new Date(task.dueDate) < Utils.Date.now();
+    const isOverdue = this.isOverdue(task);
+    const project = task.projectId && window.Projects ? Projects.getProject(task.projectId) : null;
+    const subtasks = task.subtasks || [];
+    const subtasksDone = subtasks.filter(subtask => subtask.done).length;
+    
+    const isSelected = this.selectedTaskIds.has(task.id);
     
     const taskEl = Utils.DOM.createElement('div', {
-      className: `task-item ${task.status} ${isOverdue ? 'overdue' : ''}`,
+      className: `task-item ${task.status} ${isOverdue ? 'overdue' : ''} ${isSelected ? 'selected' : ''}`,
       'data-task-id': task.id
     });
 
     taskEl.innerHTML = `
       <div class="task-header">
+        ${this.selectionMode ? `
+          <input type="checkbox" class="form-check-input task-select" ${isSelected ? 'checked' : ''}
+                 onclick="Tasks.toggleTaskSelection('${task.id}', event)" aria-label="Selecionar tarefa">
+        ` : ''}
+        ${this.currentSort === 'manual' ? `
+          <span class="task-drag-handle" draggable="true" tabindex="0" role="button"
+                title="Arraste para reordenar (ou use as setas ↑/↓)" aria-label="Reordenar tarefa">⠿</span>
+        ` : ''}
         <div class="task-main">
           <h3 class="task-title">${Utils.String.sanitizeHtml(task.title)}</h3>
           ${task.description ? `<p class="task-description">${Utils.String.sanitizeHtml(task.description)}</p>` : ''}
@@ -231,17 +927,55 @@ class TaskManager {
             <span class="task-category" style="background-color: ${category.color}">
               ${category.icon} ${category.name}
             </span>
+            ${project && Projects.currentProjectId !== project.id ? `
+              <span class="task-project" style="--project-color: ${project.color}">
+                ${Utils.String.sanitizeHtml(project.icon)} ${Utils.String.sanitizeHtml(project.name)}
+              </span>
+            ` : ''}
+            ${task.status === 'in_progress' || task.status === 'archived' ? `
+              <span class="task-status ${task.status}">${this.getStatusLabel(task.status)}</span>
+            ` : ''}
             <span class="task-priority ${task.priority}">
               ${this.getPriorityIcon(task.priority)} ${Utils.String.capitalize(task.priority)}
             </span>
             ${task.dueDate ? `
               <span class="task-due-date ${isOverdue ? 'overdue' : ''}">
-                📅 ${Utils.Date.getRelativeTime(new Date(task.dueDate))}
+                ${task.dueTime ? '⏰' : '📅'} ${this.getDueLabel(task)}
+              </span>
+            ` : ''}
+            ${task.recurrence ? `
+              <span class="task-repeat" title="${Utils.String.sanitizeHtml(Utils.Recurrence.describe(task.recurrence))}">
+                🔁 ${Utils.String.sanitizeHtml(Utils.Recurrence.describe({ ...task.recurrence, until: null, count: null }))}
               </span>
             ` : ''}
+            ${task.estimate || task.timeSpent || task.timerStartedAt ? this.renderTimeChip(task) : ''}
+            ${(task.reminders || []).length > 0 && window.Notifications ? `
+              <span class="task-reminders" title="${task.reminders.map(reminder => Notifications.describeReminder(reminder)).join(', ')}">
+                🔔 ${task.reminders.length}
+              </span>
+            ` : ''}
+            ${(task.tags || []).map(tag => `
+              <button type="button" class="task-tag" onclick="Tasks.filterByTag('${Utils.String.escapeAttribute(tag)}')"
+                      title="Filtrar por #${Utils.String.escapeAttribute(tag)}">#${Utils.String.sanitizeHtml(tag)}</button>
+            `).join('')}
+            ${subtasks.length > 0 ? `
+              <button type="button" class="task-subtask-progress ${subtasksDone === subtasks.length ? 'complete' : ''}"
+                      onclick="Tasks.toggleSubtaskList('${task.id}')" title="Mostrar subtarefas">
+                ☑️ ${subtasksDone}/${subtasks.length}
+              </button>
+            ` : ''}
           </div>
         </div>
         <div class="task-actions">
+          <button class="btn btn-ghost btn-sm" onclick="Tasks.toggleSubtaskList('${task.id}')" title="Subtarefas">
+            📋
+          </button>
+          ${task.status !== 'completed' || task.timerStartedAt ? `
+            <button class="btn btn-ghost btn-sm ${task.timerStartedAt ? 'tracking' : ''}" onclick="Tasks.toggleTimeTracking('${task.id}')"
+                    title="${task.timerStartedAt ? 'Parar cronómetro' : 'Cronometrar tarefa'}">
+              ${task.timerStartedAt ? '⏹️' : '⏱️'}
+            </button>
+          ` : ''}
           <button class="btn btn-ghost btn-sm" onclick="Tasks.toggleTaskComplete('${task.id}')" 
                   title="${task.status === 'completed' ? 'Marcar como pendente' : 'Marcar como concluída'}">
             ${task.status === 'completed' ? '↩️' : '✅'}
@@ -254,11 +988,122 @@ class TaskManager {
           </button>
         </div>
       </div>
+      ${this.expandedSubtasks.has(task.id) ? this.renderSubtaskList(task) : ''}
     `;
 
     return taskEl;
   }
 
+  // Time spent against the estimate; "tracking" while the manual timer runs
+  renderTimeChip(task) {
+    const spent = this.getTimeSpent(task);
+    const over = task.estimate && spent > task.estimate;
+    const title = task.estimate ?
+      (over ? `Acima da estimativa em ${this.formatTimeSpent(spent - task.estimate)}` : 'Tempo gasto / estimativa') :
+      'Tempo gasto';
+
+    return `
+      <span class="task-time ${task.timerStartedAt ? 'tracking' : ''} ${over ? 'over' : ''}" data-time-task-id="${task.id}" title="${title}">
+        ⏱️ <span class="task-time-label">${this.getTimeLabel(task)}</span>${task.pomodoroCount ? ` · 🍅 ${task.pomodoroCount}` : ''}
+      </span>
+    `;
+  }
+
+  // Tracked minutes, including a timer that is still running
+  getTimeSpent(task) {
+    const running = task.timerStartedAt ? (Utils.Date.now() - new Date(task.timerStartedAt)) / (1000 * 60) : 0;
+    return (task.timeSpent || 0) + Math.max(0, running);
+  }
+
+  formatTimeSpent(minutes) {
+    const rounded = Math.round(minutes);
+    return rounded > 0 ? Utils.Date.formatDuration(rounded) : '0 min';
+  }
+
+  getTimeLabel(task) {
+    const spent = this.formatTimeSpent(this.getTimeSpent(task));
+    return task.estimate ? `${spent} / ${Utils.Date.formatDuration(task.estimate)}` : spent;
+  }
+
+  refreshTimeLabels() {
+    Utils.DOM.$$('.task-time.tracking').forEach(chip => {
+      const task = this.currentTasks.find(item => item.id === chip.dataset.timeTaskId);
+      const label = chip.querySelector('.task-time-label');
+      if (task && label) label.textContent = this.getTimeLabel(task);
+    });
+  }
+
+  async toggleTimeTracking(taskId) {
+    try {
+      const task = await Storage.getTask(taskId);
+      if (!task) return;
+
+      if (task.timerStartedAt) {
+        const savedTask = await Storage.stopTimeTracking(taskId);
+        this.showToast(`Cronómetro parado. Total: ${this.getTimeLabel(savedTask)}`, 'success');
+      } else {
+        await Storage.startTimeTracking(taskId);
+        this.showToast(`A cronometrar "${task.title}"`, 'info');
+      }
+
+      await this.loadTasks();
+    } catch (error) {
+      console.error('Error toggling time tracking:', error);
+      this.showToast('Erro ao cronometrar tarefa', 'danger');
+    }
+  }
+
+  renderSubtaskList(task) {
+    const subtasks = task.subtasks || [];
+    const done = subtasks.filter(subtask => subtask.done).length;
+    const progress = subtasks.length > 0 ? (done / subtasks.length) * 100 : 0;
+
+    const items = subtasks.map((subtask, index) => `
+      <li class="subtask-item ${subtask.done ? 'done' : ''}">
+        <input type="checkbox" class="form-check-input" ${subtask.done ? 'checked' : ''}
+               onchange="Tasks.toggleSubtask('${task.id}', '${subtask.id}')"
+               aria-label="Concluir subtarefa">
+        <input type="text" class="subtask-title" value="${Utils.String.escapeAttribute(subtask.title)}"
+               onchange="Tasks.renameSubtask('${task.id}', '${subtask.id}', this.value)"
+               aria-label="Título da subtarefa">
+        <div class="subtask-actions">
+          <button type="button" class="btn btn-ghost btn-sm" ${index === 0 ? 'disabled' : ''}
+                  onclick="Tasks.moveSubtask('${task.id}', '${subtask.id}', -1)" title="Mover para cima">↑</button>
+          <button type="button" class="btn btn-ghost btn-sm" ${index === subtasks.length - 1 ? 'disabled' : ''}
+                  onclick="Tasks.moveSubtask('${task.id}', '${subtask.id}', 1)" title="Mover para baixo">↓</button>
+          <button type="button" class="btn btn-ghost btn-sm"
+                  onclick="Tasks.deleteSubtask('${task.id}', '${subtask.id}')" title="Remover subtarefa">✕</button>
+        </div>
+      </li>
+    `).join('');
+
+    return `
+      <div class="task-subtasks">
+        ${subtasks.length > 0 ? `
+          <div class="progress">
+            <div class="progress-bar progress-bar-success" style="width: ${progress}%"></div>
+          </div>
+        ` : ''}
+        <ul class="subtask-list">${items}</ul>
+        <form class="subtask-add" onsubmit="event.preventDefault(); Tasks.addSubtask('${task.id}', this.elements.subtaskTitle)">
+          <input type="text" name="subtaskTitle" class="form-control subtask-add-input" maxlength="200"
+                 placeholder="Adicionar subtarefa e premir Enter">
+          <button type="submit" class="btn btn-secondary btn-sm">Adicionar</button>
+        </form>
+      </div>
+    `;
+  }
+
+  getStatusLabel(status) {
+    const labels = {
+      pending: 'Pendente',
+      in_progress: 'Em progresso',
+      completed: 'Concluída',
+      archived: 'Arquivada'
+    };
+    return labels[status] || labels.pending;
+  }
+
   getPriorityIcon(priority) {
     const icons = {
       alta: '🔴',
@@ -320,14 +1165,16 @@ class TaskManager {
 
       if (task.status === 'completed') {
         // Mark as pending
-        task.status = 'pending';
-        task.completedAt = null;
-        await Storage.saveTask(task);
-        this.showToast('Tarefa marcada como pendente', 'info');
+        await TaskHistory.record('Reabrir tarefa', [taskId], async () => {
+          task.status = 'pending';
+          task.completedAt = null;
+          await Storage.saveTask(task);
+        });
+        this.showUndoToast('Tarefa marcada como pendente', 'info');
       } else {
         // Mark as completed
-        await Storage.completeTask(taskId);
-        this.showToast('Tarefa concluída! 🎉', 'success');
+        await TaskHistory.record('Concluir tarefa', [taskId], () => Storage.completeTask(taskId));
+        this.showUndoToast('Tarefa concluída! 🎉');
       }
 
       // Update UI
@@ -339,6 +1186,96 @@ class TaskManager {
     }
   }
 
+  // Subtasks
+  toggleSubtaskList(taskId) {
+    if (this.expandedSubtasks.has(taskId)) {
+      this.expandedSubtasks.delete(taskId);
+    } else {
+      this.expandedSubtasks.add(taskId);
+    }
+
+    this.renderTasks();
+
+    if (this.expandedSubtasks.has(taskId)) {
+      Utils.DOM.$(`[data-task-id="${taskId}"] .subtask-add-input`)?.focus();
+    }
+  }
+
+  async addSubtask(taskId, input) {
+    const title = input?.value?.trim();
+    if (!title) return;
+
+    const task = await Storage.addSubtask(taskId, title);
+    if (!task) {
+      this.showToast('Erro ao adicionar subtarefa', 'danger');
+      return;
+    }
+
+    await this.loadTasks();
+
+    // Keep the input focused to add several items in a row
+    Utils.DOM.$(`[data-task-id="${taskId}"] .subtask-add-input`)?.focus();
+  }
+
+  async toggleSubtask(taskId, subtaskId) {
+    try {
+      const task = await Storage.toggleSubtask(taskId, subtaskId);
+      if (!task) {
+        this.showToast('Subtarefa não encontrada', 'danger');
+        return;
+      }
+
+      await this.loadTasks();
+
+      // Completing the last item offers to complete the parent task
+      const subtask = task.subtasks.find(item => item.id === subtaskId);
+      const allDone = task.subtasks.every(item => item.done);
+      if (subtask?.done && allDone && task.status !== 'completed') {
+        if (confirm(`Todas as subtarefas de "${task.title}" foram concluídas. Concluir a tarefa também?`)) {
+          await TaskHistory.record('Concluir tarefa', [taskId], () => Storage.completeTask(taskId));
+          await this.loadTasks();
+          this.showUndoToast('Tarefa concluída! 🎉');
+        }
+      }
+
+    } catch (error) {
+      console.error('Error toggling subtask:', error);
+      this.showToast('Erro ao atualizar subtarefa', 'danger');
+    }
+  }
+
+  async renameSubtask(taskId, subtaskId, title) {
+    if (!title || !title.trim()) {
+      await this.deleteSubtask(taskId, subtaskId);
+      return;
+    }
+
+    const task = await Storage.updateSubtask(taskId, subtaskId, { title: title.trim() });
+    if (!task) {
+      this.showToast('Erro ao atualizar subtarefa', 'danger');
+    }
+  }
+
+  async deleteSubtask(taskId, subtaskId) {
+    const task = await Storage.deleteSubtask(taskId, subtaskId);
+    if (!task) {
+      this.showToast('Erro ao remover subtarefa', 'danger');
+      return;
+    }
+
+    await this.loadTasks();
+  }
+
+  async moveSubtask(taskId, subtaskId, offset) {
+    const task = await Storage.moveSubtask(taskId, subtaskId, offset);
+    if (!task) {
+      this.showToast('Erro ao mover subtarefa', 'danger');
+      return;
+    }
+
+    await this.loadTasks();
+  }
+
   async editTask(taskId) {
     try {
       const task = await Storage.getTask(taskId);
@@ -367,15 +1304,11 @@ class TaskManager {
         return;
       }
 
-      // Confirm deletion
-      if (!confirm(`Tem certeza que deseja excluir a tarefa "${task.title}"?`)) {
-        return;
-      }
-
-      await Storage.deleteTask(taskId);
+      // No confirmation: the task goes to the trash and can be undone from the toast or with Ctrl+Z
+      await TaskHistory.record('Excluir tarefa', [taskId], () => Storage.deleteTask(taskId));
       await this.loadTasks();
       
-      this.showToast('Tarefa excluída com sucesso', 'success');
+      this.showUndoToast(`Tarefa "${task.title}" movida para a lixeira`);
 
     } catch (error) {
       console.error('Error deleting task:', error);
@@ -388,16 +1321,37 @@ class TaskManager {
     Utils.DOM.$('#taskDescription').value = task.description || '';
     Utils.DOM.$('#taskCategory').value = task.category || 'outros';
     Utils.DOM.$('#taskPriority').value = task.priority || 'media';
+    Utils.DOM.$('#taskProject').value = task.projectId || '';
     
-    if (task.dueDate) {
-      const date = new Date(task.dueDate);
-      Utils.DOM.$('#taskDueDate').value = date.toISOString().split('T')[0];
-    } else {
-      Utils.DOM.$('#taskDueDate').value = '';
+    // Dates are stored as YYYY-MM-DD; going through toISOString() would shift them to UTC
+    Utils.DOM.$('#taskDueDate').value = task.dueDate ? task.dueDate.substr(0, 10) : '';
+    Utils.DOM.$('#taskAllDay').checked = !task.dueTime;
+    Utils.DOM.$('#taskDueTime').value = task.dueTime || '';
+    Utils.DOM.$('#taskDuration').value = task.duration ? String(task.duration) : '';
+    this.updateDueTimeFields();
+
+    Utils.DOM.$('#taskEstimate').value = task.estimate ? String(task.estimate) : '';
+    const timeSpentHint = Utils.DOM.$('#taskTimeSpentHint');
+    if (timeSpentHint) {
+      const tracked = task.timeSpent || task.timerStartedAt;
+      timeSpentHint.hidden = !tracked;
+      timeSpentHint.textContent = tracked ?
+        `Tempo gasto: ${this.formatTimeSpent(this.getTimeSpent(task))}` +
+        (task.pomodoroCount ? ` em ${task.pomodoroCount} pomodoro${task.pomodoroCount === 1 ? '' : 's'}` : '') :
+        '';
     }
+
+    this.formTags = [...(task.tags || [])];
+    this.renderFormTags();
+
+    this.formReminders = (task.reminders || []).map(reminder => ({ ...reminder }));
+    this.renderFormReminders();
+
+    this.populateRecurrenceForm(task.recurrence);
   }
 
-  showTaskModal(editingTaskId = null) {
+  // defaults pre-fill a new task, e.g. { dueDate: '2026-10-20', dueTime: '09:00' } from the calendar
+  showTaskModal(editingTaskId = null, defaults = {}) {
     const modal = Utils.DOM.$('#taskModal');
     const title = Utils.DOM.$('#taskModalTitle');
     
@@ -408,6 +1362,22 @@ class TaskManager {
       delete modal.dataset.editingTask;
       title.textContent = 'Nova Tarefa';
       this.clearTaskForm();
+
+      // New tasks go to the project being viewed
+      const projectSelect = Utils.DOM.$('#taskProject');
+      const currentProject = window.Projects ? Projects.getProject(Projects.currentProjectId) : null;
+      if (projectSelect && currentProject && !currentProject.archived) {
+        projectSelect.value = currentProject.id;
+      }
+
+      if (defaults.dueDate) {
+        Utils.DOM.$('#taskDueDate').value = defaults.dueDate;
+        Utils.DOM.$('#taskAllDay').checked = !defaults.dueTime;
+        Utils.DOM.$('#taskDueTime').value = defaults.dueTime || '';
+        this.updateDueTimeFields();
+        this.updateRecurrenceEditor();
+        this.renderFormReminders();
+      }
     }
 
     modal.classList.add('show');
@@ -427,6 +1397,16 @@ class TaskManager {
 
   clearTaskForm() {
     Utils.DOM.$('#taskForm')?.reset();
+    this.formTags = [];
+    this.renderFormTags();
+    this.formReminders = [];
+    this.renderFormReminders();
+    const reminderAt = Utils.DOM.$('#reminderAt');
+    if (reminderAt) reminderAt.hidden = true;
+    this.updateRecurrenceEditor();
+    this.updateDueTimeFields();
+    const timeSpentHint = Utils.DOM.$('#taskTimeSpentHint');
+    if (timeSpentHint) timeSpentHint.hidden = true;
     
     // Clear errors
     Utils.DOM.$$('.form-error').forEach(el => el.remove());
@@ -436,10 +1416,10 @@ class TaskManager {
   updateDashboardStats() {
     const totalTasks = this.currentTasks.length;
     const todayTasks = this.currentTasks.filter(task => 
-      task.dueDate && Utils.Date.isToday(new Date(task.dueDate))
+      task.dueDate && Utils.Date.isToday(Utils.Date.parseISODate(task.dueDate))
     );
     const completedTasks = this.currentTasks.filter(task => task.status === 'completed');
-    const pendingTasks = this.currentTasks.filter(task => task.status === 'pending');
+    const pendingTasks = this.currentTasks.filter(task => task.status === 'pending' || task.status === 'in_progress');
 
     // Update dashboard elements
     const todayTasksEl = Utils.DOM.$('#todayTasks');
@@ -447,6 +1427,10 @@ class TaskManager {
     const pendingTasksEl = Utils.DOM.$('#pendingTasks');
     const todayProgressEl = Utils.DOM.$('#todayProgress');
 
+    if (window.Projects) {
+      Projects.renderDashboardStats();
+    }
+
     if (todayTasksEl) todayTasksEl.textContent = todayTasks.length;
     if (completedTasksEl) completedTasksEl.textContent = completedTasks.length;
     if (pendingTasksEl) pendingTasksEl.textContent = pendingTasks.length;
@@ -459,38 +1443,17 @@ class TaskManager {
     }
   }
 
-  showToast(message, type = 'info') {
-    const container = Utils.DOM.$('#toastContainer');
-    if (!container) return;
-
-    const toast = Utils.DOM.createElement('div', {
-      className: `toast toast-${type}`
+  // Success toast with an "Anular" button for the last recorded command
+  showUndoToast(message, type = 'success') {
+    return this.showToast(message, type, {
+      label: 'Anular',
+      onClick: () => TaskHistory.undo()
     });
+  }
 
-    const icons = {
-      success: '✅',
-      danger: '❌', 
-      warning: '⚠️',
-      info: 'ℹ️'
-    };
-
-    toast.innerHTML = `
-      <div class="toast-icon">${icons[type] || icons.info}</div>
-      <div class="toast-content">
-        <div class="toast-message">${Utils.String.sanitizeHtml(message)}</div>
-      </div>
-      <button class="toast-close" onclick="this.parentElement.remove()">&times;</button>
-    `;
-
-    container.appendChild(toast);
-
-    // Auto remove after 5 seconds
-    setTimeout(() => {
-      if (toast.parentElement) {
-        toast.classList.add('removing');
-        setTimeout(() => toast.remove(), 300);
-      }
-    }, 5000);
+  // Through the notification centre, so toasts are recorded and held back during focus mode
+  showToast(message, type = 'info', action = null) {
+    return Notifications.showToast(message, type, 5000, true, action);
   }
 
   // Search functionality
@@ -498,7 +1461,8 @@ class TaskManager {
     const searchResults = this.currentTasks.filter(task =>
       Utils.String.searchMatch(task.title, query) ||
       Utils.String.searchMatch(task.description, query) ||
-      Utils.String.searchMatch(Utils.Angola.getCategory(task.category).name, query)
+      Utils.String.searchMatch(Utils.Angola.getCategory(task.category).name, query) ||
+      (task.tags || []).some(tag => Utils.String.searchMatch(tag, query))
     );
 
     this.renderSearchResults(searchResults, query);
@@ -540,11 +1504,9 @@ class TaskManager {
   // Bulk operations
   async bulkComplete(taskIds) {
     try {
-      for (const taskId of taskIds) {
-        await Storage.completeTask(taskId);
-      }
+      const count = await TaskHistory.record('Concluir tarefas', taskIds, () => Storage.completeTasks(taskIds));
       await this.loadTasks();
-      this.showToast(`${taskIds.length} tarefas concluídas`, 'success');
+      this.showUndoToast(`${count} tarefas concluídas`);
     } catch (error) {
       console.error('Error in bulk complete:', error);
       this.showToast('Erro ao concluir tarefas', 'danger');
@@ -553,25 +1515,126 @@ class TaskManager {
 
   async bulkDelete(taskIds) {
     try {
-      if (!confirm(`Tem certeza que deseja excluir ${taskIds.length} tarefas?`)) {
-        return;
-      }
-
-      for (const taskId of taskIds) {
-        await Storage.deleteTask(taskId);
-      }
+      const count = await TaskHistory.record('Excluir tarefas', taskIds, () => Storage.deleteTasks(taskIds));
       await this.loadTasks();
-      this.showToast(`${taskIds.length} tarefas excluídas`, 'success');
+      this.showUndoToast(`${count} tarefas movidas para a lixeira`);
     } catch (error) {
       console.error('Error in bulk delete:', error);
       this.showToast('Erro ao excluir tarefas', 'danger');
     }
   }
 
-  // Export functionality
-  async exportTasks(format = 'json') {
+  async bulkUpdate(taskIds, changes, label = 'Editar tarefas') {
+    try {
+      const count = await TaskHistory.record(label, taskIds, () => Storage.updateTasks(taskIds, changes));
+      await this.loadTasks();
+      this.showUndoToast(`${count} tarefas atualizadas`);
+    } catch (error) {
+      console.error('Error in bulk update:', error);
+      this.showToast('Erro ao atualizar tarefas', 'danger');
+    }
+  }
+
+  // Tasks without a due date are left alone
+  async bulkShiftDueDate(taskIds, days) {
+    if (!days) return;
+
+    await this.bulkUpdate(taskIds, task => task.dueDate ? {
+      dueDate: Utils.Date.toISODate(Utils.Date.addDays(Utils.Date.parseISODate(task.dueDate), days))
+    } : null, 'Adiar tarefas');
+  }
+
+  // Selection mode
+  toggleSelectionMode(enabled = !this.selectionMode) {
+    this.selectionMode = enabled;
+    this.clearSelection();
+  }
+
+  // Shift-click selects the range from the last clicked task, in the order shown
+  toggleTaskSelection(taskId, event = null) {
+    const selected = !this.selectedTaskIds.has(taskId);
+
+    if (event?.shiftKey && this.lastSelectedId && this.visibleTaskIds.includes(this.lastSelectedId)) {
+      const from = this.visibleTaskIds.indexOf(this.lastSelectedId);
+      const to = this.visibleTaskIds.indexOf(taskId);
+      this.visibleTaskIds
+        .slice(Math.min(from, to), Math.max(from, to) + 1)
+        .forEach(id => selected ? this.selectedTaskIds.add(id) : this.selectedTaskIds.delete(id));
+    } else if (selected) {
+      this.selectedTaskIds.add(taskId);
+    } else {
+      this.selectedTaskIds.delete(taskId);
+    }
+
+    this.lastSelectedId = taskId;
+    this.renderTasks();
+  }
+
+  selectAllVisible() {
+    this.visibleTaskIds.forEach(id => this.selectedTaskIds.add(id));
+    this.renderTasks();
+  }
+
+  clearSelection() {
+    this.selectedTaskIds.clear();
+    this.lastSelectedId = null;
+    this.renderTasks();
+  }
+
+  getSelectedIds() {
+    return [...this.selectedTaskIds];
+  }
+
+  renderSelectionBar() {
+    const bar = Utils.DOM.$('#bulkActionBar');
+    if (!bar) return;
+
+    const active = this.selectionMode && !(window.Board && Board.isActive());
+    bar.hidden = !active;
+    Utils.DOM.$('#toggleSelectionMode')?.classList.toggle('active', this.selectionMode);
+
+    const count = this.selectedTaskIds.size;
+    const countEl = Utils.DOM.$('#bulkSelectedCount');
+    if (countEl) {
+      countEl.textContent = count === 1 ? '1 selecionada' : `${count} selecionadas`;
+    }
+
+    Utils.DOM.$$('[data-bulk-action]', bar).forEach(control => {
+      control.disabled = count === 0;
+    });
+  }
+
+  // Runs an action bar command on the selected tasks
+  async runBulkAction(action, value = null) {
+    const taskIds = this.getSelectedIds();
+    if (taskIds.length === 0) return;
+
+    switch (action) {
+      case 'complete':
+        await this.bulkComplete(taskIds);
+        break;
+      case 'delete':
+        await this.bulkDelete(taskIds);
+        break;
+      case 'category':
+        if (value) await this.bulkUpdate(taskIds, { category: value }, 'Mudar categoria');
+        break;
+      case 'priority':
+        if (value) await this.bulkUpdate(taskIds, { priority: value, basePriority: null }, 'Mudar prioridade');
+        break;
+      case 'shift':
+        await this.bulkShiftDueDate(taskIds, parseInt(value, 10) || 0);
+        break;
+      case 'export':
+        await this.exportTasks(value || 'json', taskIds);
+        break;
+    }
+  }
+
+  // Export functionality (taskIds limits the export to a selection)
+  async exportTasks(format = 'json', taskIds = null) {
     try {
-      const tasks = await Storage.getTasks();
+      const tasks = taskIds ? await Storage.getTasksByIds(taskIds) : await Storage.getTasks();
       
       if (format === 'json') {
         const data = JSON.stringify(tasks, null, 2);
@@ -579,6 +1642,9 @@ class TaskManager {
       } else if (format === 'csv') {
         const csv = this.tasksToCSV(tasks);
         this.downloadFile(csv, 'list-kamba-tasks.csv', 'text/csv');
+      } else if (format === 'ics') {
+        const ics = Utils.ICal.fromTasks(tasks);
+        this.downloadFile(ics, 'list-kamba-tasks.ics', 'text/calendar');
       }
       
       this.showToast('Tarefas exportadas com sucesso', 'success');
@@ -588,15 +1654,59 @@ class TaskManager {
     }
   }
 
+  // Reads an .ics file from another calendar; importing the same file again updates the tasks
+  async importCalendarFile(file) {
+    try {
+      const items = Utils.ICal.parseTasks(await file.text());
+      if (items.length === 0) {
+        this.showToast('O ficheiro não tem tarefas nem eventos', 'warning');
+        return;
+      }
+
+      const matches = await Storage.matchCalendarTasks(items);
+      const existingIds = matches.filter(match => match.task && !match.task.deletedAt).map(match => match.task.id);
+      let result = null;
+
+      await TaskHistory.record('Importar calendário', existingIds, async () => {
+        result = await Storage.importCalendarTasks(matches);
+        return result.created;
+      });
+
+      await this.loadTasks();
+
+      const parts = [];
+      if (result.created.length) parts.push(`${result.created.length} nova${result.created.length === 1 ? '' : 's'}`);
+      if (result.updated.length) parts.push(`${result.updated.length} atualizada${result.updated.length === 1 ? '' : 's'}`);
+      if (result.unchanged.length) parts.push(`${result.unchanged.length} sem alterações`);
+      if (result.trashed.length) parts.push(`${result.trashed.length} na lixeira, não importada${result.trashed.length === 1 ? '' : 's'}`);
+
+      if (result.created.length || result.updated.length) {
+        this.showUndoToast(`Calendário importado: ${parts.join(', ')}`);
+      } else {
+        this.showToast(`Nada a importar: ${parts.join(', ')}`, 'info');
+      }
+    } catch (error) {
+      console.error('Error importing calendar file:', error);
+      this.showToast('Erro ao importar o ficheiro .ics', 'danger');
+    }
+  }
+
   tasksToCSV(tasks) {
-    const headers = ['Título', 'Descrição', 'Categoria', 'Prioridade', 'Status', 'Data de Vencimento', 'Criado em'];
+    const headers = ['Título', 'Descrição', 'Projeto', 'Categoria', 'Etiquetas', 'Prioridade', 'Status', 'Data de Vencimento', 'Hora', 'Duração (min)', 'Estimativa (min)', 'Tempo gasto (min)', 'Pomodoros', 'Criado em'];
     const rows = tasks.map(task => [
       task.title,
       task.description || '',
+      window.Projects && task.projectId ? (Projects.getProject(task.projectId)?.name || '') : '',
       Utils.Angola.getCategory(task.category).name,
+      (task.tags || []).map(tag => `#${tag}`).join(' '),
       Utils.String.capitalize(task.priority),
-      task.status === 'completed' ? 'Concluída' : 'Pendente',
-      task.dueDate ? Utils.Date.formatDate(new Date(task.dueDate)) : '',
+      this.getStatusLabel(task.status),
+      task.dueDate ? Utils.Date.formatDate(Utils.Date.parseISODate(task.dueDate)) : '',
+      task.dueTime || '',
+      task.duration || '',
+      task.estimate || '',
+      Math.round(this.getTimeSpent(task)),
+      task.pomodoroCount || 0,
       Utils.Date.formatDateTime(new Date(task.createdAt))
     ]);
 
@@ -0,0 +1,159 @@
+/**
+ * List Kamba - Trash
+ * Lists deleted tasks, restores them or removes them for good
+ */
+
+class TrashManager {
+  constructor() {
+    this.retentionDays = 30;
+    this.retentionOptions = [7, 14, 30, 60, 90, 365];
+
+    this.bindEvents();
+    this.loadSettings();
+  }
+
+  async loadSettings() {
+    try {
+      this.retentionDays = await Storage.getSetting('trashRetentionDays', 30);
+
+      const select = Utils.DOM.$('#trashRetention');
+      if (select) select.value = String(this.retentionDays);
+    } catch (error) {
+      console.error('Error loading trash settings:', error);
+    }
+  }
+
+  bindEvents() {
+    const select = Utils.DOM.$('#trashRetention');
+    if (select) {
+      select.innerHTML = this.retentionOptions.map(days => `
+        <option value="${days}">${days} dias</option>
+      `).join('');
+      select.value = String(this.retentionDays);
+
+      select.addEventListener('change', (e) => {
+        this.setRetention(parseInt(e.target.value, 10));
+      });
+    }
+  }
+
+  async setRetention(days) {
+    this.retentionDays = days;
+    await Storage.setSetting('trashRetentionDays', days);
+    this.render();
+  }
+
+  async render() {
+    const container = Utils.DOM.$('#trashList');
+    if (!container) return;
+
+    try {
+      const tasks = (await Storage.getTasks({ trash: 'only' }))
+        .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+
+      const emptyButton = Utils.DOM.$('#emptyTrashButton');
+      if (emptyButton) emptyButton.disabled = tasks.length === 0;
+
+      if (tasks.length === 0) {
+        container.innerHTML = `
+          <div class="empty-state">
+            <span class="empty-icon">🗑️</span>
+            <h3>A lixeira está vazia</h3>
+            <p>As tarefas excluídas aparecem aqui durante ${this.retentionDays} dias.</p>
+          </div>
+        `;
+        return;
+      }
+
+      container.innerHTML = tasks.map(task => this.renderItem(task)).join('');
+    } catch (error) {
+      console.error('Error rendering trash:', error);
+      showToast('Erro ao carregar a lixeira', 'danger');
+    }
+  }
+
+  renderItem(task) {
+    const category = Utils.Angola.getCategory(task.category);
+    const purgeDate = new Date(task.deletedAt);
+    purgeDate.setDate(purgeDate.getDate() + this.retentionDays);
+    const daysLeft = Math.max(0, Math.ceil((purgeDate - Utils.Date.now()) / (1000 * 60 * 60 * 24)));
+
+    return `
+      <div class="task-item trash-item" data-task-id="${task.id}">
+        <div class="task-header">
+          <div class="task-main">
+            <h3 class="task-title">${Utils.String.sanitizeHtml(task.title)}</h3>
+            <div class="task-meta">
+              <span class="task-category" style="background-color: ${category.color}">
+                ${category.icon} ${category.name}
+              </span>
+              <span class="trash-deleted">Excluída ${Utils.Date.getRelativeTime(new Date(task.deletedAt))}</span>
+              <span class="trash-expires">
+                ${daysLeft === 0 ? 'Apagada na próxima limpeza' : `Apagada em ${daysLeft} dia${daysLeft === 1 ? '' : 's'}`}
+              </span>
+            </div>
+          </div>
+          <div class="task-actions">
+            <button class="btn btn-secondary btn-sm" onclick="Trash.restoreTask('${task.id}')" title="Restaurar tarefa">
+              ♻️ Restaurar
+            </button>
+            <button class="btn btn-ghost btn-sm" onclick="Trash.purgeTask('${task.id}')" title="Apagar definitivamente">
+              🗑️
+            </button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  async restoreTask(taskId) {
+    try {
+      await TaskHistory.record('Restaurar tarefa', [taskId], () => Storage.restoreTask(taskId));
+      await this.render();
+
+      if (window.Tasks) {
+        await Tasks.loadTasks();
+        Tasks.showUndoToast('Tarefa restaurada');
+      }
+    } catch (error) {
+      console.error('Error restoring task:', error);
+      showToast('Erro ao restaurar tarefa', 'danger');
+    }
+  }
+
+  async purgeTask(taskId) {
+    const task = await Storage.getTask(taskId);
+    if (!task) return;
+
+    if (!confirm(`Apagar "${task.title}" definitivamente? Esta ação não pode ser anulada.`)) {
+      return;
+    }
+
+    const purged = await Storage.purgeTask(taskId);
+    if (!purged) {
+      showToast('Erro ao apagar tarefa', 'danger');
+      return;
+    }
+
+    await this.render();
+    showToast('Tarefa apagada definitivamente', 'success');
+  }
+
+  async emptyTrash() {
+    if (!confirm('Apagar definitivamente todas as tarefas da lixeira? Esta ação não pode ser anulada.')) {
+      return;
+    }
+
+    const count = await Storage.purgeTrash(0);
+    await Storage.trackEvent('trash_emptied', { count });
+
+    await this.render();
+    showToast(`${count} tarefa${count === 1 ? '' : 's'} apagada${count === 1 ? '' : 's'} definitivamente`, 'success');
+  }
+}
+
+// Initialize trash manager
+window.Trash = new TrashManager();
+
+// Export for other modules
+window.TrashManager = TrashManager;
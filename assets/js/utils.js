@@ -66,16 +66,21 @@ const DateUtils = {
     return checkDate >= weekStart && checkDate <= weekEnd;
   },
 
-  // Get relative time string (e.g., "há 2 horas", "em 3 dias")
-  getRelativeTime(date) {
+  // Get relative time string (e.g., "há 2 horas", "em 3 dias").
+  // All-day dates only compare calendar days ("hoje", "amanhã").
+  getRelativeTime(date, allDay = false) {
     if (!date) return '';
     const now = this.now();
     const checkDate = new Date(date);
     const diffMs = checkDate.getTime() - now.getTime();
-    const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
+    const diffDays = Math.round(
+      (new Date(checkDate).setHours(0, 0, 0, 0) - new Date(now).setHours(0, 0, 0, 0)) / (1000 * 60 * 60 * 24)
+    );
     const diffHours = Math.floor(diffMs / (1000 * 60 * 60));
     const diffMinutes = Math.floor(diffMs / (1000 * 60));
 
+    if (allDay && this.isToday(date)) return 'hoje';
+
     if (this.isToday(date)) {
       if (Math.abs(diffHours) < 1) {
         if (diffMinutes > 0) return `em ${diffMinutes} minutos`;
@@ -105,6 +110,69 @@ const DateUtils = {
     const month = parseInt(parts[1], 10) - 1; // Month is 0-indexed
     const year = parseInt(parts[2], 10);
     return new Date(year, month, day);
+  },
+
+  // Weekday and month names (pt-AO)
+  weekdayNames: ['Domingo', 'Segunda-feira', 'Terça-feira', 'Quarta-feira', 'Quinta-feira', 'Sexta-feira', 'Sábado'],
+  weekdayShortNames: ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'],
+  monthNames: ['Janeiro', 'Fevereiro', 'Março', 'Abril', 'Maio', 'Junho', 'Julho', 'Agosto', 'Setembro', 'Outubro', 'Novembro', 'Dezembro'],
+
+  // Format date as YYYY-MM-DD (value used by date inputs and stored on tasks)
+  toISODate(date) {
+    if (!date) return '';
+    const d = new Date(date);
+    const month = (d.getMonth() + 1).toString().padStart(2, '0');
+    const day = d.getDate().toString().padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+  },
+
+  // Parse YYYY-MM-DD (or the date part of an ISO string) as a local date
+  parseISODate(dateString) {
+    if (!dateString) return null;
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(dateString);
+    if (!match) return null;
+    return new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+  },
+
+  // Add days to a date without mutating it
+  addDays(date, days) {
+    const d = new Date(date);
+    d.setDate(d.getDate() + days);
+    return d;
+  },
+
+  // Number of days in a month (month is 0-indexed)
+  daysInMonth(year, month) {
+    return new Date(year, month + 1, 0).getDate();
+  },
+
+  // Valid HH:MM (24h) or null
+  parseTime(time) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(time || '');
+    return match ? { hours: parseInt(match[1], 10), minutes: parseInt(match[2], 10) } : null;
+  },
+
+  // A due date with its time; without a time (all-day) the task is due at the end of that day
+  getDueDateTime(dueDate, dueTime = null) {
+    const date = this.parseISODate(dueDate);
+    if (!date) return null;
+
+    const time = this.parseTime(dueTime);
+    if (time) {
+      date.setHours(time.hours, time.minutes, 0, 0);
+    } else {
+      date.setHours(23, 59, 59, 999);
+    }
+    return date;
+  },
+
+  // "30 min", "1h", "1h30"
+  formatDuration(minutes) {
+    if (!minutes) return '';
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    if (!hours) return `${rest} min`;
+    return rest ? `${hours}h${rest.toString().padStart(2, '0')}` : `${hours}h`;
   }
 };
 
@@ -129,6 +197,36 @@ const StringUtils = {
     return div.innerHTML;
   },
 
+  // Reverse of sanitizeHtml, for text that was stored escaped
+  unescapeHtml(str) {
+    if (!str) return '';
+    return str
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&');
+  },
+
+  // Escape text for use inside an HTML attribute value
+  escapeAttribute(str) {
+    return this.sanitizeHtml(str).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  },
+
+  // Normalize a free-form tag: "#Urgente Cliente" -> "urgente-cliente"
+  normalizeTag(tag) {
+    if (!tag) return '';
+    return tag.toString()
+      .trim()
+      .replace(/^#+/, '')
+      .toLowerCase()
+      .replace(/[\s,]+/g, '-')
+      .replace(/[^\p{L}\p{N}_-]/gu, '')
+      .replace(/-{2,}/g, '-')
+      .replace(/^-|-$/g, '')
+      .substr(0, 30);
+  },
+
   // Truncate text with ellipsis
   truncate(str, length = 100) {
     if (!str || str.length <= length) return str;
@@ -382,40 +480,133 @@ const PerformanceUtils = {
 
 // Angola-specific utilities
 const AngolaUtils = {
-  // Angola holidays 2024-2025
-  holidays: {
-    '2024': [
-      { date: '2024-01-01', name: 'Ano Novo' },
-      { date: '2024-02-04', name: 'Dia do Início da Luta Armada' },
-      { date: '2024-03-08', name: 'Dia Internacional da Mulher' },
-      { date: '2024-03-29', name: 'Sexta-feira Santa' },
-      { date: '2024-04-04', name: 'Dia da Paz' },
-      { date: '2024-05-01', name: 'Dia do Trabalhador' },
-      { date: '2024-09-17', name: 'Dia dos Heróis Nacionais' },
-      { date: '2024-11-02', name: 'Dia dos Finados' },
-      { date: '2024-11-11', name: 'Dia da Independência' },
-      { date: '2024-12-25', name: 'Natal' }
-    ],
-    '2025': [
-      { date: '2025-01-01', name: 'Ano Novo' },
-      { date: '2025-02-04', name: 'Dia do Início da Luta Armada' },
-      { date: '2025-03-08', name: 'Dia Internacional da Mulher' },
-      { date: '2025-04-18', name: 'Sexta-feira Santa' },
-      { date: '2025-04-04', name: 'Dia da Paz' },
-      { date: '2025-05-01', name: 'Dia do Trabalhador' },
-      { date: '2025-09-17', name: 'Dia dos Heróis Nacionais' },
-      { date: '2025-11-02', name: 'Dia dos Finados' },
-      { date: '2025-11-11', name: 'Dia da Independência' },
-      { date: '2025-12-25', name: 'Natal' }
-    ]
+  // National holidays (Lei n.º 11/18 and its amendments). Fixed dates use month (1-12) and day;
+  // movable ones are days before or after Easter Sunday. Optional entries are national
+  // celebration dates that are working days, counted only when the user turns them on.
+  holidayRules: [
+    { id: 'ano-novo', month: 1, day: 1, name: 'Ano Novo' },
+    { id: 'luta-armada', month: 2, day: 4, name: 'Dia do Início da Luta Armada' },
+    { id: 'carnaval', easterOffset: -47, name: 'Carnaval' },
+    { id: 'mulher', month: 3, day: 8, name: 'Dia Internacional da Mulher' },
+    { id: 'africa-austral', month: 3, day: 23, name: 'Dia da Libertação da África Austral' },
+    { id: 'paz', month: 4, day: 4, name: 'Dia da Paz' },
+    { id: 'sexta-feira-santa', easterOffset: -2, name: 'Sexta-feira Santa' },
+    { id: 'trabalhador', month: 5, day: 1, name: 'Dia do Trabalhador' },
+    { id: 'herois', month: 9, day: 17, name: 'Dia dos Heróis Nacionais' },
+    { id: 'finados', month: 11, day: 2, name: 'Dia dos Finados' },
+    { id: 'independencia', month: 11, day: 11, name: 'Dia da Independência' },
+    { id: 'natal', month: 12, day: 25, name: 'Natal' },
+    { id: 'martires', month: 1, day: 4, name: 'Dia dos Mártires da Repressão Colonial', optional: true },
+    { id: 'cultura', month: 1, day: 8, name: 'Dia da Cultura Nacional', optional: true },
+    { id: 'expansao', month: 3, day: 15, name: 'Dia da Expansão da Luta Armada', optional: true },
+    { id: 'juventude', month: 4, day: 14, name: 'Dia da Juventude', optional: true },
+    { id: 'africa', month: 5, day: 25, name: 'Dia de África', optional: true },
+    { id: 'crianca', month: 6, day: 1, name: 'Dia Internacional da Criança', optional: true }
+  ],
+
+  // User choices, loaded from the 'holidays' setting (see holidays.js):
+  // bridges: count the "ponte" days; optional: ids of optional rules turned on;
+  // custom: [{ id, name, date: 'YYYY-MM-DD', yearly }], yearly ones repeat on the same day
+  holidayOptions: {
+    bridges: true,
+    optional: [],
+    custom: []
+  },
+
+  holidayCache: {},
+
+  configureHolidays(options = {}) {
+    const custom = Array.isArray(options.custom) ? options.custom : [];
+
+    this.holidayOptions = {
+      bridges: options.bridges !== false,
+      optional: Array.isArray(options.optional) ?
+        options.optional.filter(id => this.holidayRules.some(rule => rule.optional && rule.id === id)) :
+        [],
+      custom: custom
+        .filter(holiday => holiday && holiday.name && DateUtils.parseISODate(holiday.date))
+        .map(holiday => ({
+          id: holiday.id || StringUtils.generateId(),
+          name: String(holiday.name).trim().substr(0, 60),
+          date: holiday.date.substr(0, 10),
+          yearly: !!holiday.yearly
+        }))
+    };
+    this.holidayCache = {};
+    return this.holidayOptions;
+  },
+
+  // Easter Sunday (Gregorian calendar, anonymous algorithm)
+  getEaster(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(year, month - 1, day);
+  },
+
+  // National (and turned on optional) holidays of a year, from the rules
+  getRuleHolidays(year) {
+    const easter = this.getEaster(year);
+
+    return this.holidayRules
+      .filter(rule => !rule.optional || this.holidayOptions.optional.includes(rule.id))
+      .map(rule => ({
+        date: rule.easterOffset !== undefined ?
+          DateUtils.addDays(easter, rule.easterOffset) :
+          new Date(year, rule.month - 1, rule.day),
+        name: rule.name,
+        type: rule.optional ? 'optional' : 'national'
+      }));
+  },
+
+  // Every holiday of a year, by date: { date, name, type: 'national' | 'optional' | 'bridge' | 'custom' }.
+  // A national holiday on a Tuesday makes the Monday before a bridge day, one on a Thursday the Friday after.
+  getHolidays(year) {
+    year = parseInt(year, 10);
+    if (this.holidayCache[year]) return this.holidayCache[year];
+
+    const byDate = new Map();
+    const add = (date, name, type) => {
+      const iso = DateUtils.toISODate(date);
+      if (date.getFullYear() === year && !byDate.has(iso)) byDate.set(iso, { date: iso, name, type });
+    };
+
+    this.getRuleHolidays(year).forEach(holiday => add(holiday.date, holiday.name, holiday.type));
+
+    this.holidayOptions.custom.forEach(holiday => {
+      const date = DateUtils.parseISODate(holiday.date);
+      add(holiday.yearly ? new Date(year, date.getMonth(), date.getDate()) : date, holiday.name, 'custom');
+    });
+
+    // New Year's Day on a Tuesday bridges the 31st of December before it
+    if (this.holidayOptions.bridges) {
+      [...this.getRuleHolidays(year), ...this.getRuleHolidays(year + 1)]
+        .filter(holiday => holiday.type === 'national')
+        .forEach(holiday => {
+          const offset = { 2: -1, 4: 1 }[holiday.date.getDay()];
+          if (offset) add(DateUtils.addDays(holiday.date, offset), `Ponte: ${holiday.name}`, 'bridge');
+        });
+    }
+
+    this.holidayCache[year] = [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+    return this.holidayCache[year];
   },
 
   // Check if date is Angola holiday
   isHoliday(date) {
-    const year = new Date(date).getFullYear().toString();
-    const dateStr = DateUtils.formatDate(date).split('/').reverse().join('-');
-    const yearHolidays = this.holidays[year] || [];
-    return yearHolidays.find(holiday => holiday.date === dateStr);
+    const dateStr = DateUtils.toISODate(date);
+    return this.getHolidays(new Date(date).getFullYear()).find(holiday => holiday.date === dateStr);
   },
 
   // Get holiday name for date
@@ -49,9 +49,21 @@ const STATIC_FILES_RELATIVE = [
   './assets/css/themes.css',
   './assets/css/animations.css',
   './assets/js/utils.js',
+  './assets/js/recurrence.js',
+  './assets/js/ical.js',
+  './assets/js/quickadd.js',
   './assets/js/storage.js',
+  './assets/js/projects.js',
+  './assets/js/history.js',
   './assets/js/tasks.js',
+  './assets/js/board.js',
+  './assets/js/calendar.js',
+  './assets/js/trash.js',
   './assets/js/notifications.js',
+  './assets/js/notification-center.js',
+  './assets/js/holidays.js',
+  './assets/js/pomodoro.js',
+  './assets/js/focus-mode.js',
   './assets/js/app.js',
   './assets/js/url-fix.js',
   './assets/js/router.js',
@@ -126,7 +138,9 @@ self.addEventListener('activate', (event) => {
       }),
       
       // Take control of all clients
-      self.clients.claim()
+      self.clients.claim(),
+      
+      checkReminders()
     ])
   );
 });
@@ -136,6 +150,11 @@ self.addEventListener('fetch', (event) => {
   const { request } = event;
   const url = new URL(request.url);
   
+  // Opening the app wakes the worker: catch up on reminders
+  if (request.mode === 'navigate') {
+    checkRemindersOnWake(event);
+  }
+  
   // Skip non-GET requests
   if (request.method !== 'GET') {
     return;
@@ -325,6 +344,8 @@ self.addEventListener('sync', (event) => {
   if (event.tag === 'sync-analytics') {
     event.waitUntil(syncAnalytics());
   }
+  
+  checkRemindersOnWake(event);
 });
 
 async function syncTasks() {
@@ -415,6 +436,18 @@ self.addEventListener('notificationclick', (event) => {
   
   event.notification.close();
   
+  const data = event.notification.data || {};
+  
+  // Task actions ("Concluir", "Adiar") are applied without opening the app
+  if (TASK_ACTIONS.includes(event.action) && data.taskId) {
+    event.waitUntil(
+      applyTaskAction(event.action, data.taskId)
+        .then(() => notifyClients('task-updated', { taskId: data.taskId, action: event.action }))
+        .catch(error => console.error('[Service Worker] Notification action failed:', error))
+    );
+    return;
+  }
+  
   if (event.action === 'open' || !event.action) {
     // Open the app
     event.waitUntil(
@@ -422,19 +455,505 @@ self.addEventListener('notificationclick', (event) => {
         // If app is already open, focus it
         for (const client of clients) {
           if (client.url.includes(self.location.origin) && 'focus' in client) {
+            client.postMessage({ type: 'notification-clicked', data });
             return client.focus();
           }
         }
         
         // Otherwise, open new window
         if (clients.openWindow) {
-          return clients.openWindow('/');
+          return clients.openWindow(data.page ? `${BASE_PATH}?page=${data.page}` : BASE_PATH);
         }
       })
     );
   }
 });
 
+// Task actions on reminder notifications
+const TASK_ACTIONS = ['complete', 'snooze-10', 'snooze-tomorrow'];
+const DB_NAME = 'ListKambaDB';
+
+// Same clock as Utils.Date.now() in the app (Angola, UTC+1)
+function angolaNow() {
+  return new Date(Date.now() + (60 * 60 * 1000));
+}
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Opens the app's database at its current version; never creates or upgrades it
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME);
+    
+    request.onupgradeneeded = () => request.transaction.abort();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Mirrors Storage.stopTimer(): adds the running tracker's minutes to the task's time spent
+function stopTimer(task, now) {
+  if (!task.timerStartedAt) return 0;
+  
+  const minutes = Math.max(0, (now - new Date(task.timerStartedAt)) / (1000 * 60));
+  task.timeSpent = Math.round(((task.timeSpent || 0) + minutes) * 10) / 10;
+  task.timerStartedAt = null;
+  
+  return Math.round(minutes * 10) / 10;
+}
+
+async function applyTaskAction(action, taskId) {
+  const db = await openDatabase();
+  
+  try {
+    const transaction = db.transaction(['tasks', 'settings', 'analytics'], 'readwrite');
+    const tasksStore = transaction.objectStore('tasks');
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    
+    const task = await promisifyRequest(tasksStore.get(taskId));
+    if (!task || task.deletedAt || task.status === 'completed') {
+      transaction.abort();
+      await done.catch(() => {});
+      return null;
+    }
+    
+    const now = angolaNow();
+    
+    let trackedMinutes = 0;
+    
+    if (action === 'complete') {
+      task.status = 'completed';
+      task.completedAt = now.toISOString();
+      trackedMinutes = stopTimer(task, now);
+      
+      // The app spawns the next occurrence of recurring tasks (see Storage.spawnPendingOccurrences)
+      if (task.recurrence && !task.nextOccurrenceId) {
+        task.spawnPending = true;
+      }
+    } else if (action === 'snooze-10') {
+      task.snoozedUntil = new Date(now.getTime() + 10 * 60 * 1000).toISOString();
+    } else if (action === 'snooze-tomorrow') {
+      // Tomorrow morning, at the time all-day tasks are reminded
+      const settings = await promisifyRequest(transaction.objectStore('settings').get('notifications'));
+      const [hours, minutes] = (settings?.value?.allDayReminderTime || '08:00').split(':').map(Number);
+      const snoozeUntil = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, hours, minutes);
+      task.snoozedUntil = snoozeUntil.toISOString();
+    }
+    
+    task.updatedAt = now.toISOString();
+    tasksStore.put(task);
+    
+    // Same shape as Storage.createEvent()
+    transaction.objectStore('analytics').put({
+      id: 'id_' + Math.random().toString(36).substr(2, 9) + '_' + Date.now(),
+      type: action === 'complete' ? 'task_completed' : 'task_snoozed',
+      data: {
+        taskId: task.id,
+        category: task.category,
+        priority: task.priority,
+        daysToComplete: action === 'complete' && task.dueDate ?
+          Math.ceil((new Date(task.completedAt) - new Date(task.createdAt)) / (1000 * 60 * 60 * 24)) :
+          null,
+        action,
+        source: 'notification'
+      },
+      date: now.toISOString(),
+      timestamp: Date.now()
+    });
+    
+    if (trackedMinutes > 0) {
+      transaction.objectStore('analytics').put({
+        id: 'id_' + Math.random().toString(36).substr(2, 9) + '_' + Date.now(),
+        type: 'time_tracked',
+        data: { taskId: task.id, minutes: trackedMinutes, pomodoros: 0, source: 'manual' },
+        date: now.toISOString(),
+        timestamp: Date.now()
+      });
+    }
+    
+    await done;
+    return task;
+  } finally {
+    db.close();
+  }
+}
+
+// Reminders are evaluated here, so they still fire with every tab closed.
+// The app asks for a check on open and every minute; periodic sync and other
+// worker wake-ups cover the rest.
+const REMINDER_CHECK_THROTTLE = 60 * 1000;
+const REMINDER_CATCH_UP_AFTER = 15 * 60 * 1000; // older reminders were missed and get grouped
+const NOTIFICATION_DEFAULTS = {
+  enabled: true,
+  taskReminders: true,
+  sound: true,
+  reminderTime: 30,
+  allDayReminderTime: '08:00',
+  quietHours: { enabled: false },
+  doNotDisturbUntil: null,
+  focusUntil: null,
+  escalation: { repeatDaily: true, appBadge: true }
+};
+
+let lastReminderCheck = 0;
+let reminderCheck = null;
+
+function checkRemindersOnWake(event) {
+  if (Date.now() - lastReminderCheck < REMINDER_CHECK_THROTTLE) return;
+  event.waitUntil(checkReminders());
+}
+
+// One evaluation at a time, so overlapping wake-ups never show a reminder twice
+function checkReminders() {
+  if (!reminderCheck) {
+    lastReminderCheck = Date.now();
+    reminderCheck = evaluateReminders()
+      .catch(error => console.error('[Service Worker] Reminder check failed:', error))
+      .finally(() => {
+        reminderCheck = null;
+      });
+  }
+  return reminderCheck;
+}
+
+async function evaluateReminders() {
+  const db = await openDatabase();
+  
+  try {
+    if (!db.objectStoreNames.contains('reminderDeliveries')) return;
+    
+    const readTransaction = db.transaction(['settings', 'tasks', 'reminderDeliveries'], 'readonly');
+    const [settingsRecord, holidayRecord, tasks, deliveredIds] = await Promise.all([
+      promisifyRequest(readTransaction.objectStore('settings').get('notifications')),
+      promisifyRequest(readTransaction.objectStore('settings').get('holidayDates')),
+      promisifyRequest(readTransaction.objectStore('tasks').getAll()),
+      promisifyRequest(readTransaction.objectStore('reminderDeliveries').getAllKeys())
+    ]);
+    
+    const settings = { ...NOTIFICATION_DEFAULTS, ...(settingsRecord?.value || {}) };
+    settings.escalation = { ...NOTIFICATION_DEFAULTS.escalation, ...settings.escalation };
+    const now = angolaNow();
+    
+    await updateAppBadge(tasks, settings, now);
+    
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+    
+    // During quiet time nothing is delivered; afterwards the grouped catch-up sums it up
+    const holidayDates = holidayRecord?.value || [];
+    if (!settings.enabled || !settings.taskReminders || isQuietTime(settings, holidayDates)) return;
+    
+    const delivered = new Set(deliveredIds);
+    const pending = tasks
+      .filter(task => !task.deletedAt && task.dueDate && (task.status === 'pending' || task.status === 'in_progress'))
+      .flatMap(task => getDueReminders(task, settings, now, holidayDates))
+      .filter(item => !delivered.has(item.id));
+    
+    if (pending.length === 0) return;
+    
+    const missed = pending.filter(item => now - item.at > REMINDER_CATCH_UP_AFTER);
+    const current = pending.filter(item => !missed.includes(item));
+    
+    for (const item of current) {
+      await showTaskNotification(item, settings, now);
+    }
+    
+    // A single notification for everything missed while the phone was asleep
+    const grouped = new Set(missed.map(item => item.task.id)).size > 1 ? missed : [];
+    if (grouped.length > 0) {
+      await showCatchUpNotification(grouped, settings);
+    } else {
+      for (const item of missed) {
+        await showTaskNotification(item, settings, now);
+      }
+    }
+    
+    await recordDeliveries(db, pending, grouped, now);
+    await notifyClients('reminders-delivered', { count: pending.length });
+  } finally {
+    db.close();
+  }
+}
+
+// Mirrors NotificationManager.checkTaskReminders() in the app
+function getDueReminders(task, settings, now, holidayDates = []) {
+  const dueDate = getDueDateTime(task.dueDate, task.dueTime);
+  if (!dueDate) return [];
+  
+  const dueKey = `${task.dueDate}T${task.dueTime || 'all-day'}`;
+  const overdue = now > dueDate;
+  const items = [];
+  
+  if (task.snoozedUntil && now >= new Date(task.snoozedUntil)) {
+    items.push({ id: `${task.id}:snooze:${task.snoozedUntil}`, kind: 'snooze', reminderId: null, at: new Date(task.snoozedUntil) });
+  }
+  
+  const reminders = Array.isArray(task.reminders) && task.reminders.length > 0 ?
+    task.reminders :
+    [{ id: 'default', type: 'relative', offset: task.dueTime ? settings.reminderTime : 0 }];
+  
+  for (const reminder of reminders) {
+    const remindAt = getReminderDate(task, reminder, settings);
+    if (!remindAt || now < remindAt) continue;
+    
+    // A relative reminder that came due during quiet time keeps for a day, like an absolute
+    // one, so the catch-up after quiet time still lists it
+    const expiresAt = reminder.type === 'absolute' || isQuietTime(settings, holidayDates, remindAt) ?
+      new Date(remindAt.getTime() + 24 * 60 * 60 * 1000) :
+      dueDate;
+    if (now >= expiresAt) continue;
+    
+    items.push({ id: `${task.id}:${reminder.id}:${dueKey}`, kind: 'reminder', reminderId: reminder.id, at: remindAt });
+  }
+  
+  if (overdue) {
+    items.push({ ...getOverdueNotice(task, dueDate, settings, now), kind: 'overdue', reminderId: null });
+  }
+  
+  return items.map(item => ({ ...item, task, dueKey, overdue }));
+}
+
+// Mirrors NotificationManager.getOverdueNotice(): high-priority tasks again every morning
+function getOverdueNotice(task, dueDate, settings, now) {
+  const baseId = `${task.id}:overdue:${task.dueDate}T${task.dueTime || 'all-day'}`;
+  if (!settings.escalation.repeatDaily || task.priority !== 'alta') {
+    return { id: baseId, at: dueDate };
+  }
+  
+  const dayLength = 24 * 60 * 60 * 1000;
+  const dueDay = new Date(dueDate.getFullYear(), dueDate.getMonth(), dueDate.getDate());
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const [hours, minutes] = settings.allDayReminderTime.split(':').map(Number);
+  const morning = new Date(today.getFullYear(), today.getMonth(), today.getDate(), hours, minutes);
+  const day = Math.round((today - dueDay) / dayLength) - (now < morning ? 1 : 0);
+  
+  if (day < 1) {
+    return { id: baseId, at: dueDate };
+  }
+  
+  return {
+    id: `${baseId}:day${day}`,
+    at: new Date(dueDay.getFullYear(), dueDay.getMonth(), dueDay.getDate() + day, hours, minutes)
+  };
+}
+
+// Overdue count on the app icon, kept current with the app closed
+async function updateAppBadge(tasks, settings, now) {
+  if (!('setAppBadge' in self.navigator)) return;
+  
+  const overdue = tasks.filter(task => {
+    const dueDate = getDueDateTime(task.dueDate, task.dueTime);
+    return !task.deletedAt && dueDate && dueDate < now && (task.status === 'pending' || task.status === 'in_progress');
+  }).length;
+  
+  try {
+    if (settings.escalation.appBadge && overdue > 0) {
+      await self.navigator.setAppBadge(overdue);
+    } else {
+      await self.navigator.clearAppBadge();
+    }
+  } catch (error) {
+    console.warn('[Service Worker] App badge unavailable:', error);
+  }
+}
+
+function getReminderDate(task, reminder, settings) {
+  if (reminder.type === 'absolute') {
+    const [date, time] = String(reminder.at).split('T');
+    return getDueDateTime(date, time);
+  }
+  
+  const anchor = getDueDateTime(task.dueDate, task.dueTime || settings.allDayReminderTime);
+  return anchor ? new Date(anchor.getTime() - reminder.offset * 60 * 1000) : null;
+}
+
+// Same rules as Utils.Date.getDueDateTime(): all-day tasks are due at the end of the day
+function getDueDateTime(dueDate, dueTime) {
+  const dateMatch = /^(\d{4})-(\d{2})-(\d{2})/.exec(dueDate || '');
+  if (!dateMatch) return null;
+  
+  const date = new Date(parseInt(dateMatch[1], 10), parseInt(dateMatch[2], 10) - 1, parseInt(dateMatch[3], 10));
+  const timeMatch = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(dueTime || '');
+  if (timeMatch) {
+    date.setHours(parseInt(timeMatch[1], 10), parseInt(timeMatch[2], 10), 0, 0);
+  } else {
+    date.setHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+// Mirrors NotificationManager.isQuietTime(): "Não incomodar", weekday windows, weekends and holidays.
+// A running focus session (focus mode) holds reminders back too.
+function isQuietTime(settings, holidayDates = [], now = angolaNow()) {
+  if (settings.doNotDisturbUntil && now < new Date(settings.doNotDisturbUntil)) return true;
+  if (settings.focusUntil && now < new Date(settings.focusUntil)) return true;
+  
+  const quietHours = settings.quietHours || {};
+  if (!quietHours.enabled) return false;
+  
+  const day = now.getDay();
+  const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  if (quietHours.weekendAllDay && (day === 0 || day === 6)) return true;
+  if (quietHours.holidayAllDay && holidayDates.includes(today)) return true;
+  
+  // Settings saved before per-day schedules had one window for every day
+  const days = quietHours.days ||
+    Array.from({ length: 7 }, () => ({ enabled: true, start: quietHours.start, end: quietHours.end }));
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  
+  return isInQuietWindow(days[day], minutes, false) || isInQuietWindow(days[(day + 6) % 7], minutes, true);
+}
+
+function isInQuietWindow(quietWindow, minutes, afterMidnight) {
+  const toMinutes = (time) => {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(time || '');
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+  };
+  
+  const start = toMinutes(quietWindow?.start);
+  const end = toMinutes(quietWindow?.end);
+  if (!quietWindow?.enabled || start === null || end === null || start === end) return false;
+  
+  const overnight = start > end;
+  if (afterMidnight) return overnight && minutes < end;
+  return overnight ? minutes >= start : minutes >= start && minutes < end;
+}
+
+// "vence hoje às 14:00", "vence amanhã", "vence a 24/10"
+function describeDue(task, now) {
+  const dueDay = getDueDateTime(task.dueDate, null);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const days = Math.round((new Date(dueDay.getFullYear(), dueDay.getMonth(), dueDay.getDate()) - today) / (24 * 60 * 60 * 1000));
+  
+  let day;
+  if (days === 0) day = 'hoje';
+  else if (days === 1) day = 'amanhã';
+  else day = `a ${String(dueDay.getDate()).padStart(2, '0')}/${String(dueDay.getMonth() + 1).padStart(2, '0')}`;
+  
+  return task.dueTime ? `vence ${day} às ${task.dueTime}` : `vence ${day}`;
+}
+
+async function showTaskNotification(item, settings, now) {
+  const { task, overdue } = item;
+  
+  await self.registration.showNotification(overdue ? '🔴 Tarefa Atrasada' : '⏰ Tarefa Vencendo', {
+    body: overdue ? `"${task.title}" está atrasada` : `"${task.title}" ${describeDue(task, now)}`,
+    icon: overdue ? resolvePath('/assets/icons/task-overdue.png') : resolvePath('/assets/icons/task-reminder.png'),
+    badge: resolvePath('/assets/icons/icon-72x72.png'),
+    tag: `${overdue ? 'task-overdue' : 'task-due'}-${task.id}`,
+    requireInteraction: true,
+    silent: !settings.sound,
+    data: { taskId: task.id, page: 'tasks', type: overdue ? 'task_overdue' : 'task_due' },
+    actions: [
+      { action: 'complete', title: 'Concluir' },
+      { action: 'snooze-10', title: 'Adiar 10 min' },
+      { action: 'snooze-tomorrow', title: 'Adiar até amanhã' }
+    ]
+  });
+}
+
+async function showCatchUpNotification(items, settings) {
+  const tasks = [...new Map(items.map(item => [item.task.id, item.task])).values()];
+  const listed = tasks.slice(0, 5).map(task => `• ${task.title}`);
+  if (tasks.length > listed.length) {
+    listed.push(`+ ${tasks.length - listed.length} mais`);
+  }
+  
+  await self.registration.showNotification(`🔔 ${tasks.length} lembretes perdidos`, {
+    body: listed.join('\n'),
+    icon: resolvePath('/assets/icons/task-reminder.png'),
+    badge: resolvePath('/assets/icons/icon-72x72.png'),
+    tag: 'task-catch-up',
+    renotify: true,
+    silent: !settings.sound,
+    data: { page: 'tasks', type: 'task_catch_up', taskIds: tasks.map(task => task.id) }
+  });
+}
+
+// Delivery records use the same ids as the app, so neither side repeats a reminder
+async function recordDeliveries(db, items, groupedItems, now) {
+  const hasHistory = db.objectStoreNames.contains('notificationHistory');
+  const transaction = db.transaction(
+    ['reminderDeliveries', 'analytics', ...(hasHistory ? ['notificationHistory'] : [])],
+    'readwrite'
+  );
+  const deliveriesStore = transaction.objectStore('reminderDeliveries');
+  const analyticsStore = transaction.objectStore('analytics');
+  
+  // Notification centre entries, same shape as Storage.addNotificationRecord()
+  if (hasHistory) {
+    const historyStore = transaction.objectStore('notificationHistory');
+    const entry = (fields) => historyStore.put({
+      id: 'id_' + Math.random().toString(36).substr(2, 9) + '_' + Date.now(),
+      body: '',
+      taskId: null,
+      page: 'tasks',
+      read: false,
+      createdAt: now.toISOString(),
+      ...fields
+    });
+    
+    items.filter(item => !groupedItems.includes(item)).forEach(item => entry({
+      type: item.overdue ? 'task_overdue' : 'task_due',
+      title: item.overdue ? '🔴 Tarefa Atrasada' : '⏰ Tarefa Vencendo',
+      body: item.overdue ? `"${item.task.title}" está atrasada` : `"${item.task.title}" ${describeDue(item.task, now)}`,
+      taskId: item.task.id
+    }));
+    
+    if (groupedItems.length > 0) {
+      const taskCount = new Set(groupedItems.map(item => item.task.id)).size;
+      entry({
+        type: 'task_catch_up',
+        title: `🔔 ${taskCount} lembretes perdidos`,
+        body: [...new Set(groupedItems.map(item => item.task.title))].join(', ')
+      });
+    }
+  }
+  
+  for (const item of items) {
+    deliveriesStore.put({
+      id: item.id,
+      taskId: item.task.id,
+      reminderId: item.reminderId,
+      kind: item.kind,
+      dueKey: item.dueKey,
+      scheduledAt: item.at.toISOString(),
+      deliveredAt: now.toISOString(),
+      grouped: groupedItems.includes(item)
+    });
+  }
+  
+  // Same shape as Storage.createEvent()
+  analyticsStore.put({
+    id: 'id_' + Math.random().toString(36).substr(2, 9) + '_' + Date.now(),
+    type: 'notification_sent',
+    data: { type: 'task_reminders', count: items.length, grouped: groupedItems.length, source: 'service_worker' },
+    date: now.toISOString(),
+    timestamp: Date.now()
+  });
+  
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// Periodic background sync (where supported) wakes the worker even with the app closed
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === 'check-reminders') {
+    event.waitUntil(checkReminders());
+  }
+});
+
 // Message handling from main app
 self.addEventListener('message', (event) => {
   console.log('[Service Worker] Message received:', event.data);
@@ -454,6 +973,10 @@ self.addEventListener('message', (event) => {
       event.waitUntil(clearCaches());
       break;
       
+    case 'CHECK_REMINDERS':
+      event.waitUntil(checkReminders());
+      break;
+      
     case 'GET_CACHE_SIZE':
       event.waitUntil(getCacheSize().then(size => {
         event.ports[0].postMessage({ type: 'CACHE_SIZE', size });